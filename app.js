@@ -4,31 +4,53 @@
  */
 
 // ==================== AWS Configuration ====================
+// Defaults for the hosted stack; config.js can override any of them
+// (dev/local-backend.js uses this to point the app at a local backend)
 const AWS_CONFIG = {
     API_URL: 'https://p7kjo92mk8.execute-api.us-east-1.amazonaws.com',
     USER_POOL_ID: 'us-east-1_KRGtmJkS7',
     CLIENT_ID: '54nerocjbb2qkk8jricjsbd77e',
-    REGION: 'us-east-1'
+    REGION: 'us-east-1',
+    // Cognito URL to use instead of the regional one
+    COGNITO_ENDPOINT: null,
+    // e.g. 'USER_PASSWORD_AUTH'; the SDK uses SRP when unset
+    AUTH_FLOW: null,
+    ...(window.HYDRATRACK_CONFIG || {})
 };
 
 // ==================== Auth Manager ====================
 class AuthManager {
+    // Error code for a session that can't be refreshed any more
+    static SESSION_EXPIRED = 'SessionExpired';
+
     constructor() {
-        this.userPool = new AmazonCognitoIdentity.CognitoUserPool({
+        const poolData = {
             UserPoolId: AWS_CONFIG.USER_POOL_ID,
             ClientId: AWS_CONFIG.CLIENT_ID
-        });
+        };
+        if (AWS_CONFIG.COGNITO_ENDPOINT) poolData.endpoint = AWS_CONFIG.COGNITO_ENDPOINT;
+
+        this.userPool = new AmazonCognitoIdentity.CognitoUserPool(poolData);
         this.cognitoUser = null;
         this.pendingEmail = null;
+        // Refresh in progress, shared by every request that needs it
+        this.refreshing = null;
     }
 
+    /**
+     * The signed-in user with a valid id token, or null if nobody is signed
+     * in. Expired tokens are refreshed first; if that fails the promise
+     * rejects with a SESSION_EXPIRED error.
+     */
     getCurrentUser() {
-        return new Promise((resolve) => {
+        return new Promise((resolve, reject) => {
             const user = this.userPool.getCurrentUser();
             if (!user) return resolve(null);
 
             user.getSession((err, session) => {
-                if (err || !session || !session.isValid()) return resolve(null);
+                if (err || !session || !session.isValid()) {
+                    return reject(this.createSessionExpiredError(user.getUsername(), err));
+                }
                 this.cognitoUser = user;
                 resolve({
                     email: user.getUsername(),
@@ -38,6 +60,15 @@ class AuthManager {
         });
     }
 
+    /**
+     * Email of the user whose session is saved on this device, without
+     * checking that the session is still valid.
+     */
+    getStoredEmail() {
+        const user = this.userPool.getCurrentUser();
+        return user ? user.getUsername() : null;
+    }
+
     signUp(email, password) {
         return new Promise((resolve, reject) => {
             const attributeList = [
@@ -55,13 +86,16 @@ class AuthManager {
         });
     }
 
+    createCognitoUser(email) {
+        return new AmazonCognitoIdentity.CognitoUser({
+            Username: email,
+            Pool: this.userPool
+        });
+    }
+
     confirmSignUp(email, code) {
         return new Promise((resolve, reject) => {
-            const userData = {
-                Username: email,
-                Pool: this.userPool
-            };
-            const cognitoUser = new AmazonCognitoIdentity.CognitoUser(userData);
+            const cognitoUser = this.createCognitoUser(email);
 
             cognitoUser.confirmRegistration(code, true, (err, result) => {
                 if (err) return reject(err);
@@ -77,12 +111,8 @@ class AuthManager {
                 Password: password
             });
 
-            const userData = {
-                Username: email,
-                Pool: this.userPool
-            };
-
-            const cognitoUser = new AmazonCognitoIdentity.CognitoUser(userData);
+            const cognitoUser = this.createCognitoUser(email);
+            if (AWS_CONFIG.AUTH_FLOW) cognitoUser.setAuthenticationFlowType(AWS_CONFIG.AUTH_FLOW);
 
             cognitoUser.authenticateUser(authDetails, {
                 onSuccess: (session) => {
@@ -97,6 +127,67 @@ class AuthManager {
         });
     }
 
+    resendConfirmationCode(email) {
+        return new Promise((resolve, reject) => {
+            this.createCognitoUser(email).resendConfirmationCode((err, result) => {
+                if (err) return reject(err);
+                this.pendingEmail = email;
+                resolve(result);
+            });
+        });
+    }
+
+    /**
+     * Email a code for setting a new password without the old one.
+     */
+    forgotPassword(email) {
+        return new Promise((resolve, reject) => {
+            this.createCognitoUser(email).forgotPassword({
+                onSuccess: (result) => resolve(result),
+                onFailure: (err) => reject(err)
+            });
+        });
+    }
+
+    confirmPassword(email, code, newPassword) {
+        return new Promise((resolve, reject) => {
+            this.createCognitoUser(email).confirmPassword(code, newPassword, {
+                onSuccess: (result) => resolve(result),
+                onFailure: (err) => reject(err)
+            });
+        });
+    }
+
+    async changePassword(oldPassword, newPassword) {
+        // Loads the session the request is signed with
+        const user = await this.getCurrentUser();
+        if (!user) throw this.createSessionExpiredError();
+
+        return new Promise((resolve, reject) => {
+            this.cognitoUser.changePassword(oldPassword, newPassword, (err, result) => {
+                if (err) return reject(err);
+                resolve(result);
+            });
+        });
+    }
+
+    /**
+     * Remove the Cognito user. Delete the cloud data first; afterwards
+     * there is no token left to do it with.
+     */
+    async deleteUser() {
+        const user = await this.getCurrentUser();
+        if (!user) throw this.createSessionExpiredError();
+
+        return new Promise((resolve, reject) => {
+            this.cognitoUser.deleteUser((err, result) => {
+                if (err) return reject(err);
+                this.cognitoUser = null;
+                resolve(result);
+            });
+        });
+    }
+
     signOut() {
         if (this.cognitoUser) {
             this.cognitoUser.signOut();
@@ -110,88 +201,467 @@ class AuthManager {
         const user = await this.getCurrentUser();
         return user ? user.token : null;
     }
+
+    /**
+     * Trade the refresh token for new tokens, e.g. when the API rejected
+     * an id token that still looked valid here. Resolves with the new id
+     * token; rejects with a SESSION_EXPIRED error when the refresh token
+     * has expired or been revoked.
+     */
+    refreshSession() {
+        if (this.refreshing) return this.refreshing;
+
+        this.refreshing = new Promise((resolve, reject) => {
+            const user = this.cognitoUser || this.userPool.getCurrentUser();
+            if (!user) return reject(this.createSessionExpiredError());
+
+            user.getSession((err, session) => {
+                if (err || !session) return reject(this.createSessionExpiredError(user.getUsername(), err));
+
+                user.refreshSession(session.getRefreshToken(), (refreshErr, refreshed) => {
+                    if (refreshErr) return reject(this.createSessionExpiredError(user.getUsername(), refreshErr));
+                    this.cognitoUser = user;
+                    resolve(refreshed.getIdToken().getJwtToken());
+                });
+            });
+        }).finally(() => {
+            this.refreshing = null;
+        });
+        return this.refreshing;
+    }
+
+    createSessionExpiredError(email = null, cause = null) {
+        const error = new Error('Your session has expired. Please sign in again.');
+        error.code = AuthManager.SESSION_EXPIRED;
+        error.email = email;
+        error.cause = cause;
+        return error;
+    }
 }
 
 // ==================== Sync Manager ====================
 class SyncManager {
+    static OUTBOX_KEY = 'hydratrack_outbox';
+    static BASE_RETRY_DELAY = 2000;
+    static MAX_RETRY_DELAY = 5 * 60 * 1000;
+    static BATCH_SIZE = 100;
+
     constructor(authManager) {
         this.auth = authManager;
         this.syncTimer = null;
+        this.retryTimer = null;
         this.isSyncing = false;
+        // The upload in flight, and whether new ones are held back
+        this.currentUpload = null;
+        this.paused = false;
+        this.lastError = null;
+        // ETag of the cloud profile this device last saw; sent with every save
+        this.version = null;
+        // Called with the newer cloud profile when a save was rejected as stale
+        this.onConflict = null;
+        // Supplies the state to read queued entries and the profile from
+        this.getState = null;
+        // Called with 'synced', 'pending', 'error', 'offline' or 'expired'
+        this.onStatusChange = null;
+
+        this.outboxKey = SyncManager.OUTBOX_KEY;
+        this.outbox = this.loadOutbox();
+        this.status = this.outbox.ops.length > 0 ? 'pending' : this.getIdleStatus();
     }
 
-    async loadFromCloud() {
-        try {
-            const token = await this.auth.getToken();
-            if (!token) return null;
+    // ==================== Outbox ====================
 
-            const res = await fetch(`${AWS_CONFIG.API_URL}/state`, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            });
+    // Each account queues its changes under its own key
+    static getOutboxKey(owner) {
+        return owner ? `${SyncManager.OUTBOX_KEY}:${owner}` : SyncManager.OUTBOX_KEY;
+    }
+
+    /**
+     * Switch to the outbox of another account, or of nobody for a guest.
+     */
+    useOutbox(owner) {
+        clearTimeout(this.syncTimer);
+        clearTimeout(this.retryTimer);
+        this.outboxKey = SyncManager.getOutboxKey(owner);
+        this.outbox = this.loadOutbox();
+        this.version = null;
+        this.lastError = null;
+        this.setStatus(this.outbox.ops.length > 0 ? 'pending' : this.getIdleStatus());
+    }
 
-            if (res.status === 404) return null;
-            if (!res.ok) throw new Error(`HTTP ${res.status}`);
-            return await res.json();
+    createOutbox() {
+        // `rejected`: { type: 'profile' | 'entries', message } of changes the cloud refused
+        return { ops: [], attempts: 0, nextAttemptAt: null, lastError: null, cursor: null, rejected: null };
+    }
+
+    loadOutbox() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.outboxKey));
+            if (saved && Array.isArray(saved.ops)) {
+                // Whole-state uploads from before incremental sync: pull
+                // everything again so local-only entries get uploaded
+                if (saved.ops.some(o => o.type === 'state')) {
+                    saved.ops = saved.ops.filter(o => o.type !== 'state');
+                    saved.cursor = null;
+                }
+                return { ...this.createOutbox(), ...saved };
+            }
         } catch (err) {
-            console.error('Cloud load failed:', err);
-            return null;
+            console.error('Outbox unreadable, starting empty:', err);
         }
+        return this.createOutbox();
+    }
+
+    saveOutbox() {
+        localStorage.setItem(this.outboxKey, JSON.stringify(this.outbox));
+    }
+
+    setStatus(status) {
+        if (this.status === status) return;
+        this.status = status;
+        if (this.onStatusChange) this.onStatusChange(status);
+    }
+
+    hasPendingChanges() {
+        return this.outbox.ops.length > 0;
+    }
+
+    // With nothing left to send: synced, unless the cloud refused something
+    // that has not gone through since
+    getIdleStatus() {
+        return this.outbox.rejected ? 'error' : 'synced';
+    }
+
+    /**
+     * Queue a change for upload. The outbox lives in localStorage, so
+     * changes made offline or right before closing the tab still go out.
+     * Ops carry ids only; entries and the profile are read when sending.
+     */
+    enqueue(op) {
+        // A newer op for the same record replaces the queued one
+        const sameRecord = (o) => op.type === 'profile'
+            ? o.type === 'profile'
+            : o.type !== 'profile' && o.entryId === op.entryId;
+        this.outbox.ops = this.outbox.ops.filter(o => !sameRecord(o));
+
+        this.outbox.ops.push({ ...op, id: StateSchema.generateId(), queuedAt: new Date().toISOString() });
+        this.saveOutbox();
+        this.setStatus(navigator.onLine ? 'pending' : 'offline');
+    }
+
+    removeOps(ops) {
+        this.outbox.ops = this.outbox.ops.filter(o => !ops.includes(o));
+        this.saveOutbox();
+    }
+
+    setCursor(cursor) {
+        this.outbox.cursor = cursor;
+        this.saveOutbox();
+    }
+
+    clearOutbox() {
+        clearTimeout(this.syncTimer);
+        clearTimeout(this.retryTimer);
+        this.outbox = this.createOutbox();
+        this.version = null;
+        this.saveOutbox();
+        this.setStatus('synced');
+    }
+
+    deleteOutbox() {
+        this.clearOutbox();
+        localStorage.removeItem(this.outboxKey);
+    }
+
+    scheduleFlush() {
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => {
+            this.flush();
+        }, 2000);
     }
 
-    async saveToCloud(state) {
+    /**
+     * Send everything in the outbox. Failures are retried with exponential
+     * backoff; going online or returning to the tab flushes right away.
+     */
+    async flush() {
+        clearTimeout(this.syncTimer);
+        clearTimeout(this.retryTimer);
+
+        if (this.paused || this.isSyncing) return;
+        if (!this.hasPendingChanges()) {
+            this.setStatus(this.getIdleStatus());
+            return;
+        }
+        if (!navigator.onLine) {
+            this.setStatus('offline');
+            return;
+        }
+
+        this.isSyncing = true;
         try {
-            this.isSyncing = true;
-            const token = await this.auth.getToken();
-            if (!token) return false;
+            this.currentUpload = this.sendOutbox();
+            await this.currentUpload;
 
-            const res = await fetch(`${AWS_CONFIG.API_URL}/state`, {
-                method: 'PUT',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(state)
-            });
+            this.outbox.attempts = 0;
+            this.outbox.nextAttemptAt = null;
+            this.outbox.lastError = null;
+            this.saveOutbox();
 
-            this.isSyncing = false;
-            return res.ok;
+            if (this.hasPendingChanges()) {
+                // Changes made while this upload was in flight
+                this.syncTimer = setTimeout(() => this.flush(), SyncManager.BASE_RETRY_DELAY);
+            } else {
+                this.setStatus(this.getIdleStatus());
+            }
         } catch (err) {
-            console.error('Cloud save failed:', err);
+            if (err.code === AuthManager.SESSION_EXPIRED) {
+                // Retrying can't help; the outbox waits for the next sign in
+                this.lastError = err.message;
+            } else if (err.rejected && !this.hasPendingChanges()) {
+                // Nothing left to retry; the rejection keeps the status at 'error'
+                this.setStatus(this.getIdleStatus());
+            } else {
+                if (!err.rejected) console.error('Cloud save failed:', err);
+                this.scheduleRetry(err.message);
+            }
+        } finally {
             this.isSyncing = false;
-            return false;
+            this.currentUpload = null;
         }
     }
 
-    async deleteFromCloud() {
+    /**
+     * Hold back uploads and wait for the one in flight, so nothing is
+     * written to the cloud while its data is being deleted.
+     */
+    async pause() {
+        this.paused = true;
+        clearTimeout(this.syncTimer);
+        clearTimeout(this.retryTimer);
+        if (this.currentUpload) {
+            // Its failure is flush's to handle
+            await this.currentUpload.catch(() => {});
+        }
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    scheduleRetry(error) {
+        this.outbox.attempts++;
+        const backoff = Math.min(
+            SyncManager.BASE_RETRY_DELAY * 2 ** (this.outbox.attempts - 1),
+            SyncManager.MAX_RETRY_DELAY
+        );
+        // Jitter keeps several tabs or devices from retrying in lockstep
+        const delay = Math.round(backoff * (0.8 + Math.random() * 0.4));
+        this.outbox.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        this.outbox.lastError = error;
+        this.lastError = error;
+        this.saveOutbox();
+
+        this.setStatus(navigator.onLine ? 'error' : 'offline');
+        this.retryTimer = setTimeout(() => this.flush(), delay);
+    }
+
+    /**
+     * Send queued drinks in batches, then deletions, then the profile.
+     * Each op leaves the outbox as soon as the server has it.
+     */
+    async sendOutbox() {
+        const entries = new Map(this.getState().history.map(h => [h.id, h]));
+
+        const upserts = this.outbox.ops.filter(o => o.type === 'upsertEntry');
+        for (let i = 0; i < upserts.length; i += SyncManager.BATCH_SIZE) {
+            const batch = upserts.slice(i, i + SyncManager.BATCH_SIZE);
+            // Entries deleted since they were queued have a delete op instead
+            const payload = batch.map(op => entries.get(op.entryId)).filter(Boolean);
+            if (payload.length > 0) {
+                await this.send(batch, () => this.request('POST', '/entries', { entries: payload }), payload);
+            }
+            this.removeOps(batch);
+        }
+
+        const deletes = this.outbox.ops.filter(o => o.type === 'deleteEntry');
+        for (const op of deletes) {
+            await this.send([op], () => this.request('DELETE', `/entries/${encodeURIComponent(op.entryId)}?timestamp=${encodeURIComponent(op.timestamp)}`));
+            this.removeOps([op]);
+        }
+
+        const profileOp = this.outbox.ops.find(o => o.type === 'profile');
+        if (profileOp) {
+            await this.send([profileOp], () => this.saveProfile(StateMerger.getProfile(this.getState())));
+            this.removeOps([profileOp]);
+        }
+    }
+
+    /**
+     * Run one upload. Changes the server refuses as invalid leave the outbox,
+     * since sending them again can't succeed; for a batch of drinks only the
+     * drinks named in the field errors go, and the rest are retried. The
+     * status stays 'error' until a change of the same kind goes through.
+     */
+    async send(ops, upload, payload = []) {
+        const type = ops.some(op => op.type === 'profile') ? 'profile' : 'entries';
         try {
-            const token = await this.auth.getToken();
-            if (!token) return false;
+            await upload();
+            if (this.outbox.rejected && this.outbox.rejected.type === type) {
+                this.outbox.rejected = null;
+                this.saveOutbox();
+            }
+        } catch (err) {
+            if (err.status !== 400 && err.status !== 413) throw err;
 
-            const res = await fetch(`${AWS_CONFIG.API_URL}/state`, {
-                method: 'DELETE',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
+            const rejected = new Set();
+            (err.fields || []).forEach(({ field }) => {
+                const match = /^entries\[(\d+)\]/.exec(field);
+                if (match && payload[match[1]]) rejected.add(payload[match[1]].id);
             });
-            return res.ok;
+            this.outbox.rejected = {
+                type,
+                message: type === 'profile'
+                    ? 'Settings, goals and achievements were rejected by the cloud and are only saved on this device'
+                    : 'Some changes were rejected by the cloud and stay on this device'
+            };
+            this.removeOps(rejected.size > 0 ? ops.filter(op => rejected.has(op.entryId)) : ops);
+
+            // Shown by the sync status, like any other failed upload
+            const error = new Error(this.outbox.rejected.message);
+            error.status = err.status;
+            error.rejected = true;
+            throw error;
+        }
+    }
+
+    // ==================== Cloud API ====================
+
+    /**
+     * Call the API with the current id token. A 401 gets one token refresh
+     * and one retry; if the session can't be refreshed the status becomes
+     * 'expired' and a SESSION_EXPIRED error is thrown. The outbox is kept.
+     */
+    async fetchApi(method, path, body = null, extraHeaders = {}) {
+        const send = (token) => fetch(`${AWS_CONFIG.API_URL}${path}`, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json',
+                ...extraHeaders
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        try {
+            const token = await this.auth.getToken();
+            if (!token) throw new Error('Not signed in');
+
+            let res = await send(token);
+            if (res.status === 401) {
+                // Revoked, or expired by the server's clock but not ours
+                res = await send(await this.auth.refreshSession());
+                if (res.status === 401) throw this.auth.createSessionExpiredError();
+            }
+            return res;
         } catch (err) {
-            console.error('Cloud delete failed:', err);
-            return false;
+            if (err.code === AuthManager.SESSION_EXPIRED) {
+                clearTimeout(this.syncTimer);
+                clearTimeout(this.retryTimer);
+                this.setStatus('expired');
+            }
+            throw err;
         }
     }
 
-    debouncedSave(state) {
-        clearTimeout(this.syncTimer);
-        this.syncTimer = setTimeout(() => {
-            this.saveToCloud(state);
-        }, 2000);
+    async request(method, path, body = null) {
+        const res = await this.fetchApi(method, path, body);
+        if (!res.ok) throw await this.createError(res);
+        return res.json();
+    }
+
+    // Error with the HTTP status and, for invalid input, the fields at fault
+    async createError(res) {
+        const error = new Error(`HTTP ${res.status}`);
+        error.status = res.status;
+        error.fields = [];
+        if (res.status === 400) {
+            const body = await res.json().catch(() => ({}));
+            if (Array.isArray(body.fields)) error.fields = body.fields;
+        }
+        return error;
+    }
+
+    /**
+     * Fetch the profile and every drink changed since the last pull.
+     * Without a cursor everything is fetched. The caller stores the
+     * returned cursor once the changes are applied.
+     */
+    async pull() {
+        const full = !this.outbox.cursor;
+
+        const res = await this.fetchApi('GET', '/profile');
+        let profile = null;
+        if (res.status === 404) {
+            this.version = null;
+        } else if (!res.ok) {
+            throw await this.createError(res);
+        } else {
+            this.version = res.headers.get('ETag');
+            profile = await res.json();
+        }
+
+        const entries = [];
+        const deleted = [];
+        let cursor = this.outbox.cursor || '';
+        let hasMore = true;
+        while (hasMore) {
+            const page = await this.request('GET', `/entries?since=${encodeURIComponent(cursor)}`);
+            entries.push(...page.entries);
+            deleted.push(...page.deleted);
+            hasMore = page.hasMore && page.cursor !== cursor;
+            cursor = page.cursor;
+        }
+
+        return { full, profile, entries, deleted, cursor };
+    }
+
+    async saveProfile(profile, attempt = 1) {
+        const headers = this.version ? { 'If-Match': this.version } : {};
+        const res = await this.fetchApi('PUT', '/profile', profile, headers);
+
+        // Another device saved first: merge its profile and try again
+        if (res.status === 412 && this.onConflict && attempt < 3) {
+            const conflict = await res.json();
+            this.version = conflict.version;
+            const merged = this.onConflict(conflict.profile);
+            return this.saveProfile(StateMerger.getProfile(merged), attempt + 1);
+        }
+        if (!res.ok) throw await this.createError(res);
+        this.version = res.headers.get('ETag');
+    }
+
+    /**
+     * Delete everything this account saved. Pause first: an upload still
+     * running could write drinks back afterwards. The cleared outbox has no
+     * cursor, so if the delete fails the next sync uploads all local data.
+     */
+    async deleteFromCloud() {
+        this.clearOutbox();
+        try {
+            await this.request('DELETE', '/state');
+            return true;
+        } catch (err) {
+            console.error('Cloud delete failed:', err);
+            return false;
+        }
     }
 }
+
+// Reminder schedules are stored Sunday first, like Date.getDay(), and shown Monday first
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
 class HydraTrack {
     constructor() {
         // Auth & Cloud Sync
@@ -199,66 +669,65 @@ class HydraTrack {
         this.syncManager = new SyncManager(this.authManager);
         this.isAuthenticated = false;
         this.userEmail = null;
+        // Signed out by an expired session; userEmail is kept for signing in again
+        this.sessionExpired = false;
+        // Account whose data is loaded and saved (lowercased email), null for a guest
+        this.storageOwner = null;
+        // Set while the user decides how to combine guest and cloud progress
+        this.resolveMigration = null;
+        // Email a password reset code was sent to
+        this.resetEmail = null;
 
         // Game State
-        this.state = {
-            currentIntake: 0,
-            dailyGoal: 2000,
-            xp: 0,
-            totalXp: 0,
-            level: 1,
-            streak: 0,
-            lastDrinkDate: null,
-            history: [],
-            achievements: {},
-            settings: {
-                soundEnabled: true,
-                notificationsEnabled: false,
-                reminderInterval: 60,
-                startTime: '08:00',
-                endTime: '22:00'
-            },
-            stats: {
-                totalDays: 0,
-                totalWater: 0,
-                perfectDays: 0,
-                bestStreak: 0,
-                glassesCount: 0
-            }
+        this.state = this.createDefaultState();
+        this.stateRecovered = false;
+        this.statsEngine = new StatsEngine(() => this.state);
+        this.deviceId = this.getDeviceId();
+        this.fieldSnapshot = null;
+        // What the cloud is known to have, to work out what to upload
+        this.syncedEntries = new Map();
+        this.syncedProfile = null;
+        this.syncManager.onConflict = (profile) => this.applyRemoteChanges({ profile, entries: [], deleted: [] });
+        this.syncManager.getState = () => this.state;
+        this.syncManager.onStatusChange = (status) => {
+            if (status === 'expired') this.handleSessionExpired();
+            this.updateAuthUI();
         };
 
-        // Level titles and XP requirements
-        this.levels = [
-            { level: 1, title: 'Hydration Rookie', xpRequired: 0 },
-            { level: 2, title: 'Water Apprentice', xpRequired: 100 },
-            { level: 3, title: 'Hydration Enthusiast', xpRequired: 250 },
-            { level: 4, title: 'Water Warrior', xpRequired: 500 },
-            { level: 5, title: 'Hydration Hero', xpRequired: 800 },
-            { level: 6, title: 'Aqua Champion', xpRequired: 1200 },
-            { level: 7, title: 'Water Master', xpRequired: 1700 },
-            { level: 8, title: 'Hydration Legend', xpRequired: 2300 },
-            { level: 9, title: 'Aqua Sage', xpRequired: 3000 },
-            { level: 10, title: 'Hydration Deity', xpRequired: 4000 }
+        // Level titles, XP requirements and achievements live in core.js
+        this.levels = Progression.LEVELS;
+        this.achievementsDef = Achievements.DEFINITIONS;
+
+        // Beverage catalog (coefficient = share of the volume that counts as hydration,
+        // caffeine in mg and sugar in g per 100ml)
+        this.beverages = [
+            { id: 'water', name: 'Water', icon: '💧', coefficient: 1.0, caffeine: 0, sugar: 0 },
+            { id: 'sparkling', name: 'Sparkling', icon: '🫧', coefficient: 1.0, caffeine: 0, sugar: 0 },
+            { id: 'tea', name: 'Tea', icon: '🍵', coefficient: 0.9, caffeine: 20, sugar: 0 },
+            { id: 'coffee', name: 'Coffee', icon: '☕', coefficient: 0.8, caffeine: 40, sugar: 0 },
+            { id: 'milk', name: 'Milk', icon: '🥛', coefficient: 1.0, caffeine: 0, sugar: 5 },
+            { id: 'juice', name: 'Juice', icon: '🧃', coefficient: 0.9, caffeine: 0, sugar: 10 },
+            { id: 'sports', name: 'Sports Drink', icon: '⚡', coefficient: 1.0, caffeine: 0, sugar: 6 },
+            { id: 'soda', name: 'Soda', icon: '🥤', coefficient: 0.85, caffeine: 10, sugar: 10.6 },
+            { id: 'soup', name: 'Soup', icon: '🍲', coefficient: 0.9, caffeine: 0, sugar: 1 }
         ];
 
-        // Achievements definition
-        this.achievementsDef = [
-            { id: 'first_drop', name: 'First Drop', desc: 'Drink your first glass', icon: '💧', xp: 25, condition: (s) => s.stats.glassesCount >= 1 },
-            { id: 'getting_started', name: 'Getting Started', desc: 'Complete your first day', icon: '🌟', xp: 50, condition: (s) => s.stats.perfectDays >= 1 },
-            { id: 'hydration_habit', name: 'Hydration Habit', desc: 'Reach a 3-day streak', icon: '🔥', xp: 75, condition: (s) => s.streak >= 3 },
-            { id: 'week_warrior', name: 'Week Warrior', desc: 'Reach a 7-day streak', icon: '⚔️', xp: 150, condition: (s) => s.streak >= 7 },
-            { id: 'hydration_hero', name: 'Hydration Hero', desc: 'Reach a 14-day streak', icon: '🦸', xp: 300, condition: (s) => s.streak >= 14 },
-            { id: 'monthly_master', name: 'Monthly Master', desc: 'Reach a 30-day streak', icon: '👑', xp: 500, condition: (s) => s.streak >= 30 },
-            { id: 'liter_club', name: 'Liter Club', desc: 'Drink 1L in one session', icon: '🏆', xp: 50, condition: (s) => s.history.some(h => h.amount >= 1000) },
-            { id: 'early_bird', name: 'Early Bird', desc: 'Drink water before 8 AM', icon: '🐦', xp: 40, condition: (s) => s.history.some(h => new Date(h.timestamp).getHours() < 8) },
-            { id: 'night_owl', name: 'Night Owl', desc: 'Drink water after 10 PM', icon: '🦉', xp: 40, condition: (s) => s.history.some(h => new Date(h.timestamp).getHours() >= 22) },
-            { id: 'ocean_drinker', name: 'Ocean Drinker', desc: 'Drink 10L total', icon: '🌊', xp: 100, condition: (s) => s.stats.totalWater >= 10000 },
-            { id: 'river_runner', name: 'River Runner', desc: 'Drink 50L total', icon: '🏞️', xp: 200, condition: (s) => s.stats.totalWater >= 50000 },
-            { id: 'waterfall_wonder', name: 'Waterfall Wonder', desc: 'Drink 100L total', icon: '💦', xp: 400, condition: (s) => s.stats.totalWater >= 100000 },
-            { id: 'level_5', name: 'Rising Star', desc: 'Reach Level 5', icon: '⭐', xp: 100, condition: (s) => s.level >= 5 },
-            { id: 'level_10', name: 'Ultimate Hydrator', desc: 'Reach Level 10', icon: '🌈', xp: 250, condition: (s) => s.level >= 10 },
-            { id: 'perfectionist', name: 'Perfectionist', desc: 'Complete 10 perfect days', icon: '💎', xp: 200, condition: (s) => s.stats.perfectDays >= 10 }
+        // Workout types and extra water per minute by intensity
+        this.activityTypes = [
+            { id: 'run', name: 'Running', icon: '🏃' },
+            { id: 'walk', name: 'Walking', icon: '🚶' },
+            { id: 'cycle', name: 'Cycling', icon: '🚴' },
+            { id: 'gym', name: 'Gym', icon: '🏋️' },
+            { id: 'swim', name: 'Swimming', icon: '🏊' },
+            { id: 'sports', name: 'Team Sports', icon: '⚽' },
+            { id: 'yoga', name: 'Yoga', icon: '🧘' },
+            { id: 'other', name: 'Other', icon: '💪' }
         ];
+        this.activityIntensity = {
+            low: { name: 'Low', perMinute: 5 },
+            moderate: { name: 'Moderate', perMinute: 8 },
+            high: { name: 'High', perMinute: 12 }
+        };
 
         // Mascot messages
         this.mascotMessages = {
@@ -286,6 +755,16 @@ class HydraTrack {
                 "⭐ Incredible! You're a hydration hero!",
                 "🌟 Perfect day achieved! So proud!"
             ],
+            caffeineWarning: [
+                "☕ That's a lot of caffeine today! Maybe switch to water?",
+                "⚡ Caffeine limit reached! Your heart says slow down!",
+                "☕ Easy on the coffee! Water time! 💧"
+            ],
+            sugarWarning: [
+                "🍬 Sugar limit reached! Plain water is your friend!",
+                "🧃 That's plenty of sugar for today! 💧",
+                "🍭 Sweet tooth alert! Try water next!"
+            ],
             lowProgress: [
                 "Let's pick up the pace! 💪",
                 "You've got this! One sip at a time! 🥤",
@@ -300,11 +779,37 @@ class HydraTrack {
         // Reminder timer
         this.reminderTimer = null;
 
+        // History editing
+        this.lastEntryId = null;
+        this.expandedHistoryDates = new Set();
+
+        // History browser position (null = today)
+        this.historyCursor = null;
+
+        // File waiting for the user to confirm an import
+        this.pendingImport = null;
+
+        // Service worker and a new version waiting to take over
+        this.swRegistration = null;
+        this.serviceWorkerFailed = false;
+        this.waitingWorker = null;
+        this.updateAccepted = false;
+
+        // Reminder settings last sent to the service worker, and the
+        // schedule kept here when there is none
+        this.sentReminderSchedule = null;
+        this.reminderSchedule = null;
+        this.periodicReminderInterval = undefined;
+
         // Initialize
         this.init();
     }
 
     init() {
+        // A saved session means the data shown is that account's
+        this.storageOwner = this.normalizeOwner(this.authManager.getStoredEmail());
+        this.adoptLegacyStorage();
+        this.syncManager.useOutbox(this.storageOwner);
         this.loadState();
         this.checkNewDay();
         this.initializeElements();
@@ -318,60 +823,275 @@ class HydraTrack {
         // Set initial mascot message
         this.setMascotMessage('greeting');
 
+        if (this.stateRecovered) {
+            this.showToast('⚠️', 'Saved data was unreadable, so HydraTrack started fresh. A copy was kept.');
+        }
+
         // Check if user is already signed in
         this.checkExistingSession();
+
+        this.handleLaunchAction();
     }
 
     // ==================== State Management ====================
 
+    createDefaultState() {
+        return {
+            schemaVersion: StateSchema.VERSION,
+            currentIntake: 0,
+            dailyGoal: 2000,
+            goalHistory: [],
+            xp: 0,
+            totalXp: 0,
+            level: 1,
+            streak: 0,
+            lastDrinkDate: null,
+            history: [],
+            activities: [],
+            achievements: {},
+            deletedEntries: {},
+            fieldTimestamps: {},
+            settings: {
+                soundEnabled: true,
+                notificationsEnabled: false,
+                reminderInterval: 60,
+                // Active windows per weekday, Sunday first like Date.getDay()
+                reminderDays: Array.from({ length: 7 }, () => [{ start: '08:00', end: '22:00' }]),
+                quietPeriods: [],
+                // Snoozed or paused reminders: { until, reason: 'snooze' | 'pause' }
+                reminderPause: null,
+                selectedBeverage: 'water',
+                customBeverages: [],
+                caffeineLimit: 400,
+                sugarLimit: 50,
+                goalProfile: null,
+                goalMode: 'manual'
+            },
+            stats: {
+                totalDays: 0,
+                totalWater: 0,
+                perfectDays: 0,
+                bestStreak: 0,
+                glassesCount: 0
+            }
+        };
+    }
+
+    /**
+     * Bring a local or cloud state up to the current schema.
+     */
+    prepareState(raw) {
+        return StateSchema.prepare(raw, this.createDefaultState(), message => console.warn(message));
+    }
+
     loadState() {
-        const saved = localStorage.getItem('hydratrack_state');
-        if (saved) {
-            const parsed = JSON.parse(saved);
-            this.state = { ...this.state, ...parsed };
+        const saved = localStorage.getItem(this.getStorageKey('state'));
+        if (!saved) return;
+
+        const prepared = this.prepareState(saved);
+        if (prepared) {
+            this.state = prepared;
+            this.fieldSnapshot = StateMerger.getFieldValues(this.state);
+            this.markSynced();
+        } else {
+            // Keep the unreadable copy around instead of crashing or losing it
+            localStorage.setItem(this.getStorageKey('state_corrupt'), saved);
+            this.stateRecovered = true;
         }
     }
 
-    saveState() {
-        localStorage.setItem('hydratrack_state', JSON.stringify(this.state));
-        // Sync to cloud if authenticated
-        if (this.isAuthenticated) {
-            this.syncManager.debouncedSave(this.state);
-        }
+    // ==================== Per-User Storage ====================
+
+    normalizeOwner(email) {
+        return email ? email.trim().toLowerCase() : null;
     }
 
-    checkNewDay() {
-        const today = new Date().toDateString();
-        const lastDate = this.state.lastDrinkDate;
-
-        if (lastDate && lastDate !== today) {
-            // Check if yesterday was completed for streak
-            const yesterday = new Date();
-            yesterday.setDate(yesterday.getDate() - 1);
-
-            if (lastDate === yesterday.toDateString()) {
-                // Continue streak if goal was met yesterday
-                const yesterdayIntake = this.getIntakeForDate(yesterday);
-                if (yesterdayIntake < this.state.dailyGoal) {
-                    this.state.streak = 0;
+    /**
+     * localStorage key for `name` in the current owner's data. Guests use
+     * the plain keys, so nothing one account saves is seen by another.
+     */
+    getStorageKey(name) {
+        return this.storageOwner ? `hydratrack_${name}:${this.storageOwner}` : `hydratrack_${name}`;
+    }
+
+    /**
+     * Data used to be saved under the guest keys while signed in. Move it
+     * to the account that is still signed in, once.
+     */
+    adoptLegacyStorage() {
+        if (!this.storageOwner || localStorage.getItem(this.getStorageKey('state'))) return;
+
+        const moves = [
+            ['hydratrack_state', this.getStorageKey('state')],
+            ['hydratrack_migration_backup', this.getStorageKey('migration_backup')],
+            [SyncManager.OUTBOX_KEY, SyncManager.getOutboxKey(this.storageOwner)]
+        ];
+        moves.forEach(([from, to]) => {
+            const value = localStorage.getItem(from);
+            if (value === null) return;
+            localStorage.setItem(to, value);
+            localStorage.removeItem(from);
+        });
+    }
+
+    /**
+     * Load the data of `email`, or the guest's for null, and save there
+     * from now on. Callers refresh the view afterwards.
+     */
+    switchStorage(email) {
+        this.storageOwner = this.normalizeOwner(email);
+        this.syncManager.useOutbox(this.storageOwner);
+
+        this.state = this.createDefaultState();
+        this.fieldSnapshot = null;
+        this.syncedEntries = new Map();
+        this.syncedProfile = null;
+        this.statsEngine.invalidate();
+        this.loadState();
+        this.checkNewDay();
+    }
+
+    // Forget everything the current owner saved on this device
+    removeLocalData() {
+        this.syncManager.deleteOutbox();
+        ['state', 'state_corrupt', 'migration_backup'].forEach(name => {
+            localStorage.removeItem(this.getStorageKey(name));
+        });
+    }
+
+    // Guest progress waiting to be offered to an account, if any
+    loadGuestState() {
+        const saved = localStorage.getItem('hydratrack_state');
+        const guest = saved ? this.prepareState(saved) : null;
+        return guest && guest.history.length > 0 ? guest : null;
+    }
+
+    refreshView() {
+        this.recalculateFromHistory();
+        this.renderBeveragePicker();
+        this.loadSettingsIntoInputs();
+        this.updateDisplay();
+        this.renderAchievements();
+        this.stopReminder();
+        this.startReminderIfEnabled();
+        this.updateReminderStatus();
+    }
+
+    getDeviceId() {
+        let deviceId = localStorage.getItem('hydratrack_device_id');
+        if (!deviceId) {
+            deviceId = StateSchema.generateId();
+            localStorage.setItem('hydratrack_device_id', deviceId);
+        }
+        return deviceId;
+    }
+
+    /**
+     * Timestamp every setting that changed since the last save, so sync
+     * can tell which device changed it last.
+     */
+    stampChangedFields() {
+        const values = StateMerger.getFieldValues(this.state);
+        if (this.fieldSnapshot) {
+            const now = new Date().toISOString();
+            Object.keys(values).forEach(key => {
+                if (values[key] !== this.fieldSnapshot[key]) {
+                    this.state.fieldTimestamps[key] = now;
                 }
-            } else {
-                // Missed a day, reset streak
-                this.state.streak = 0;
+            });
+        }
+        this.fieldSnapshot = values;
+    }
+
+    /**
+     * Treat the current state as what the cloud has. Anything changed
+     * while signed in is in the outbox already, and signing in does a
+     * full pull that resets this.
+     */
+    markSynced() {
+        this.syncedEntries = new Map(this.state.history.map(h => [h.id, this.getSyncVersion(h)]));
+        this.syncedProfile = JSON.stringify(StateMerger.getProfile(this.state));
+    }
+
+    getSyncVersion(entry) {
+        return { version: entry.updatedAt || entry.timestamp, timestamp: entry.timestamp };
+    }
+
+    /**
+     * Queue uploads for drinks added, edited or deleted and for profile
+     * changes since the last sync, whatever code path made them.
+     */
+    queueSyncChanges() {
+        const current = new Map(this.state.history.map(h => [h.id, h]));
+
+        current.forEach((entry, id) => {
+            const synced = this.syncedEntries.get(id);
+            if (!synced || synced.version !== this.getSyncVersion(entry).version) {
+                this.syncManager.enqueue({ type: 'upsertEntry', entryId: id });
             }
+        });
+        this.syncedEntries.forEach((synced, id) => {
+            if (!current.has(id)) {
+                this.syncManager.enqueue({ type: 'deleteEntry', entryId: id, timestamp: synced.timestamp });
+            }
+        });
+
+        const profile = JSON.stringify(StateMerger.getProfile(this.state));
+        if (profile !== this.syncedProfile) {
+            this.syncManager.enqueue({ type: 'profile' });
+        }
+
+        this.markSynced();
+        if (this.syncManager.hasPendingChanges()) {
+            this.syncManager.scheduleFlush();
+        }
+    }
+
+    markDeleted(ids) {
+        const now = new Date().toISOString();
+        ids.forEach(id => {
+            this.state.deletedEntries[id] = now;
+        });
+        this.state.deletedEntries = StateMerger.compactDeletions(this.state.deletedEntries);
+    }
+
+    /**
+     * Copy the derived stats into state, so saved and synced data match
+     * what the history says. Today's intake, XP and level are derived too:
+     * drinks, goal days and unlocked achievements are what earn XP.
+     */
+    refreshStats() {
+        const { streak, totalDays, totalWater, perfectDays, bestStreak, glassesCount } = this.statsEngine.getStats();
+        this.state.streak = streak;
+        this.state.stats = { ...this.state.stats, totalDays, totalWater, perfectDays, bestStreak, glassesCount };
+        this.state.currentIntake = this.getIntakeForDate(new Date());
+        this.state.totalXp = Progression.getTotalXP(this.state, perfectDays);
+        this.state.xp = this.state.totalXp;
+        this.state.level = this.getLevelForXP(this.state.totalXp);
+    }
 
-            // Reset daily intake
-            this.state.currentIntake = 0;
+    saveState() {
+        this.refreshStats();
+        this.stampChangedFields();
+        localStorage.setItem(this.getStorageKey('state'), JSON.stringify(this.state));
+        this.syncReminderSchedule();
+        // Sync to cloud if authenticated
+        if (this.isAuthenticated) {
+            this.queueSyncChanges();
         }
+    }
 
+    checkNewDay() {
+        // Today's intake and streaks come from history, so saving refreshes them
         this.saveState();
     }
 
     getIntakeForDate(date) {
-        const dateStr = date.toDateString();
-        return this.state.history
-            .filter(h => new Date(h.timestamp).toDateString() === dateStr)
-            .reduce((sum, h) => sum + h.amount, 0);
+        return this.getIntakeForDateString(new Date(date).toDateString());
+    }
+
+    getIntakeForDateString(dateStr) {
+        return this.statsEngine.getDayTotal(dateStr);
     }
 
     // ==================== DOM Elements ====================
@@ -396,6 +1116,7 @@ class HydraTrack {
         this.dailyGoalEl = document.getElementById('dailyGoal');
         this.progressRing = document.getElementById('progressRing');
         this.progressPercentage = document.getElementById('progressPercentage');
+        this.activityBonusEl = document.getElementById('activityBonus');
 
         // Challenge
         this.challengeText = document.getElementById('challengeText');
@@ -406,6 +1127,8 @@ class HydraTrack {
         this.actionBtns = document.querySelectorAll('.action-btn');
         this.customAmount = document.getElementById('customAmount');
         this.addCustomBtn = document.getElementById('addCustomBtn');
+        this.beveragePicker = document.getElementById('beveragePicker');
+        this.intakeBreakdown = document.getElementById('intakeBreakdown');
 
         // Navigation
         this.navBtns = document.querySelectorAll('.nav-btn');
@@ -415,16 +1138,28 @@ class HydraTrack {
         this.achievementsModal = document.getElementById('achievementsModal');
         this.historyModal = document.getElementById('historyModal');
         this.reminderModal = document.getElementById('reminderModal');
+        this.activityModal = document.getElementById('activityModal');
+        this.importModal = document.getElementById('importModal');
+        this.migrationModal = document.getElementById('migrationModal');
 
         // Settings inputs
         this.goalInput = document.getElementById('goalInput');
+        this.goalWizardModal = document.getElementById('goalWizardModal');
+        this.goalModeHint = document.getElementById('goalModeHint');
         this.soundToggle = document.getElementById('soundToggle');
         this.notificationToggle = document.getElementById('notificationToggle');
+        this.customBeverageName = document.getElementById('customBeverageName');
+        this.customBeverageIcon = document.getElementById('customBeverageIcon');
+        this.customBeverageCoefficient = document.getElementById('customBeverageCoefficient');
+        this.customBeverageCaffeine = document.getElementById('customBeverageCaffeine');
+        this.customBeverageSugar = document.getElementById('customBeverageSugar');
+        this.caffeineLimitInput = document.getElementById('caffeineLimitInput');
+        this.sugarLimitInput = document.getElementById('sugarLimitInput');
 
         // Reminder inputs
         this.reminderInterval = document.getElementById('reminderInterval');
-        this.startTime = document.getElementById('startTime');
-        this.endTime = document.getElementById('endTime');
+        this.reminderDaysList = document.getElementById('reminderDays');
+        this.quietPeriodsList = document.getElementById('quietPeriods');
         this.reminderStatus = document.getElementById('reminderStatus');
         this.toggleRemindersBtn = document.getElementById('toggleReminders');
         this.reminderBtnText = document.getElementById('reminderBtnText');
@@ -438,6 +1173,8 @@ class HydraTrack {
 
         // Reminder notification
         this.reminderNotification = document.getElementById('reminderNotification');
+        this.reminderMessage = document.getElementById('reminderMessage');
+        this.updateNotification = document.getElementById('updateNotification');
 
         // Toast container
         this.toastContainer = document.getElementById('toastContainer');
@@ -472,6 +1209,24 @@ class HydraTrack {
             }
         });
 
+        // Workouts
+        document.getElementById('openActivityBtn').addEventListener('click', () => this.openActivityModal());
+        document.getElementById('closeActivity').addEventListener('click', () => this.closeModal(this.activityModal));
+        document.getElementById('logActivityBtn').addEventListener('click', () => this.logActivity());
+        ['activityType', 'activityDuration', 'activityIntensityInput'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateActivityPreview());
+        });
+        document.getElementById('activityList').addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-remove-activity]');
+            if (removeBtn) this.removeActivity(removeBtn.dataset.removeActivity);
+        });
+
+        // Beverage picker
+        this.beveragePicker.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-beverage]');
+            if (chip) this.selectBeverage(chip.dataset.beverage);
+        });
+
         // Navigation
         this.navBtns.forEach(btn => {
             btn.addEventListener('click', () => {
@@ -485,17 +1240,86 @@ class HydraTrack {
         document.getElementById('closeSettings').addEventListener('click', () => this.closeModal(this.settingsModal));
         document.getElementById('saveSettings').addEventListener('click', () => this.saveSettings());
         document.getElementById('resetProgress').addEventListener('click', () => this.resetProgress());
+        document.getElementById('openGoalWizard').addEventListener('click', () => this.openGoalWizard());
+
+        // Import & export
+        document.getElementById('exportJsonBtn').addEventListener('click', () => this.exportJSON());
+        document.getElementById('exportDrinksCsvBtn').addEventListener('click', () => this.exportDrinksCSV());
+        document.getElementById('exportSummaryCsvBtn').addEventListener('click', () => this.exportSummaryCSV());
+        document.getElementById('importBtn').addEventListener('click', () => document.getElementById('importFile').click());
+        document.getElementById('importFile').addEventListener('change', (e) => this.handleImportFile(e.target.files[0]));
+        document.getElementById('closeImport').addEventListener('click', () => this.closeModal(this.importModal));
+        document.getElementById('importMergeBtn').addEventListener('click', () => this.applyImport('merge'));
+        document.getElementById('importReplaceBtn').addEventListener('click', () => this.applyImport('replace'));
+        document.getElementById('restoreMigrationBackupBtn').addEventListener('click', () => this.restoreMigrationBackup());
+        document.getElementById('discardMigrationBackupBtn').addEventListener('click', () => this.discardMigrationBackup());
+
+        // Goal wizard
+        document.getElementById('closeGoalWizard').addEventListener('click', () => this.closeModal(this.goalWizardModal));
+        document.getElementById('acceptGoal').addEventListener('click', () => this.acceptSuggestedGoal());
+        ['wizardWeight', 'wizardSex', 'wizardAge', 'wizardActivity', 'wizardClimate'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateGoalSuggestion());
+        });
+        document.getElementById('addBeverageBtn').addEventListener('click', () => this.addCustomBeverage());
+        document.getElementById('customBeverageList').addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-remove-beverage]');
+            if (removeBtn) this.removeCustomBeverage(removeBtn.dataset.removeBeverage);
+        });
 
         // Achievements
         document.getElementById('closeAchievements').addEventListener('click', () => this.closeModal(this.achievementsModal));
 
         // History
         document.getElementById('closeHistory').addEventListener('click', () => this.closeModal(this.historyModal));
+        document.querySelectorAll('[data-history-step]').forEach(btn => {
+            btn.addEventListener('click', () => this.shiftHistoryCursor(btn.dataset.historyStep, parseInt(btn.dataset.direction)));
+        });
+        document.getElementById('historyToday').addEventListener('click', () => this.resetHistoryCursor());
+        document.getElementById('historyCalendar').addEventListener('click', (e) => {
+            const day = e.target.closest('[data-calendar-date]');
+            if (day) this.showHistoryDay(day.dataset.calendarDate);
+        });
+        document.getElementById('historyList').addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('[data-action]');
+            if (actionBtn) {
+                this.handleHistoryAction(actionBtn.dataset.action, actionBtn.dataset.id);
+                return;
+            }
+
+            const header = e.target.closest('.history-day-header');
+            if (header) {
+                this.toggleHistoryDay(header.closest('.history-day').dataset.date);
+            }
+        });
 
         // Reminder
         document.getElementById('closeReminder').addEventListener('click', () => this.closeModal(this.reminderModal));
         this.toggleRemindersBtn.addEventListener('click', () => this.toggleReminders());
 
+        // Reminder schedule editors apply each change right away
+        this.reminderDaysList.addEventListener('change', (e) => {
+            const input = e.target.closest('[data-window-edge]');
+            if (input) this.updateReminderWindow(+input.dataset.day, +input.dataset.window, input.dataset.windowEdge, input.value);
+        });
+        this.reminderDaysList.addEventListener('click', (e) => {
+            const addBtn = e.target.closest('[data-add-window]');
+            const removeBtn = e.target.closest('[data-remove-window]');
+            if (addBtn) this.addReminderWindow(+addBtn.dataset.addWindow);
+            if (removeBtn) this.removeReminderWindow(+removeBtn.dataset.day, +removeBtn.dataset.removeWindow);
+        });
+        document.getElementById('copyReminderDays').addEventListener('click', () => this.copyReminderDays());
+        this.quietPeriodsList.addEventListener('change', (e) => {
+            const input = e.target.closest('[data-quiet-field]');
+            if (input) this.updateQuietPeriod(+input.dataset.quiet, input.dataset.quietField, input.value);
+        });
+        this.quietPeriodsList.addEventListener('click', (e) => {
+            const dayBtn = e.target.closest('[data-quiet-day]');
+            const removeBtn = e.target.closest('[data-remove-quiet]');
+            if (dayBtn) this.toggleQuietDay(+dayBtn.dataset.quiet, +dayBtn.dataset.quietDay);
+            if (removeBtn) this.removeQuietPeriod(+removeBtn.dataset.removeQuiet);
+        });
+        document.getElementById('addQuietPeriod').addEventListener('click', () => this.addQuietPeriod());
+
         // Popups close on click
         this.achievementPopup.addEventListener('click', () => this.closeAchievementPopup());
         this.levelupPopup.addEventListener('click', () => this.closeLevelupPopup());
@@ -503,15 +1327,31 @@ class HydraTrack {
 
         // Reminder notification
         document.getElementById('reminderQuickAdd').addEventListener('click', () => {
-            this.addWater(250);
+            this.addWater(Hydration.getUsualAmount(this.state.history));
             this.hideReminderNotification();
         });
         document.getElementById('reminderDismiss').addEventListener('click', () => this.hideReminderNotification());
+        this.reminderNotification.addEventListener('click', (e) => {
+            const snoozeBtn = e.target.closest('[data-snooze]');
+            if (snoozeBtn) this.pauseReminders(Date.now() + snoozeBtn.dataset.snooze * 60 * 1000, 'snooze');
+        });
+        document.getElementById('reminderPauseToggle').addEventListener('click', () => this.toggleReminderPauseOptions());
+        document.getElementById('reminderPauseUntilBtn').addEventListener('click', () => this.pauseRemindersUntilTime());
+        document.getElementById('reminderPauseTomorrowBtn').addEventListener('click', () => {
+            this.pauseReminders(Reminders.getTomorrowStart(this.getReminderSchedule()), 'pause');
+        });
+        document.getElementById('resumeReminders').addEventListener('click', () => this.resumeReminders());
+
+        // Update notification
+        document.getElementById('updateReloadBtn').addEventListener('click', () => this.applyUpdate());
+        document.getElementById('updateDismiss').addEventListener('click', () => this.updateNotification.classList.add('hidden'));
 
         // Modal overlay close
         document.querySelectorAll('.modal-overlay').forEach(overlay => {
             overlay.addEventListener('click', () => {
                 const modal = overlay.closest('.modal');
+                // Whichever progress isn't chosen is dropped, so the choice can't be skipped
+                if (modal === this.migrationModal) return;
                 this.closeModal(modal);
             });
         });
@@ -528,27 +1368,39 @@ class HydraTrack {
 
     // ==================== Water Tracking ====================
 
-    addWater(amount) {
-        const previousIntake = this.state.currentIntake;
-        this.state.currentIntake += amount;
+    addWater(amount, beverageId = this.state.settings.selectedBeverage) {
+        const beverage = this.getBeverage(beverageId);
+        const hydration = Math.round(amount * beverage.coefficient);
+        const today = new Date().toDateString();
+        const nutrientsBefore = this.getNutrientsForDate(today);
+
+        const previousIntake = this.getIntakeForDateString(today);
 
         // Update last drink date
         this.state.lastDrinkDate = new Date().toDateString();
 
+        // Calculate XP
+        const xpGained = this.getXPForAmount(hydration);
+
         // Add to history
-        this.state.history.push({
+        const entry = {
+            id: this.generateEntryId(),
             amount: amount,
+            beverage: beverage.id,
+            hydration: hydration,
+            ...this.calculateNutrients(beverage, amount),
             timestamp: new Date().toISOString(),
-            date: new Date().toDateString()
-        });
+            date: new Date().toDateString(),
+            deviceId: this.deviceId,
+            xp: xpGained
+        };
+        this.state.history.push(entry);
+        this.lastEntryId = entry.id;
 
-        // Update stats
-        this.state.stats.glassesCount++;
-        this.state.stats.totalWater += amount;
+        // Remember which achievements this drink unlocks so it can be undone
+        const unlockedBefore = new Set(Object.keys(this.state.achievements));
 
-        // Calculate XP
-        const xpGained = Math.floor(amount / 25); // 10 XP per 250ml
-        this.addXP(xpGained);
+        this.updateProgress();
 
         // Play sound
         if (this.state.settings.soundEnabled) {
@@ -562,34 +1414,35 @@ class HydraTrack {
         this.updateDisplay();
 
         // Check for goal achievement
-        if (previousIntake < this.state.dailyGoal && this.state.currentIntake >= this.state.dailyGoal) {
-            this.handleGoalAchieved();
+        const todayGoal = this.getTargetForDate(new Date());
+        if (previousIntake < todayGoal && this.state.currentIntake >= todayGoal) {
+            this.handleGoalAchieved(entry);
         }
 
         // Check for new achievements
         this.checkAchievements();
+        entry.achievements = Object.keys(this.state.achievements).filter(id => !unlockedBefore.has(id));
 
         // Update mascot
         this.updateMascotMood();
+        this.checkNutrientLimits(nutrientsBefore, this.getNutrientsForDate(today));
 
         // Save state
         this.saveState();
+
+        // Offer undo for mis-taps
+        this.showToast(this.escapeHTML(beverage.icon), `Added ${amount}ml ${this.escapeHTML(beverage.name)}`, {
+            label: 'Undo',
+            onClick: () => this.undoLastDrink()
+        });
     }
 
-    handleGoalAchieved() {
-        // Increment streak
-        this.state.streak++;
-        if (this.state.streak > this.state.stats.bestStreak) {
-            this.state.stats.bestStreak = this.state.streak;
+    handleGoalAchieved(entry) {
+        // Mark the drink that earned the bonus so it can be rolled back
+        if (entry) {
+            entry.goalReached = true;
         }
 
-        // Increment perfect days
-        this.state.stats.perfectDays++;
-        this.state.stats.totalDays++;
-
-        // Bonus XP for completing goal
-        this.addXP(100);
-
         // Show celebration
         setTimeout(() => {
             this.showCelebration();
@@ -599,74 +1452,426 @@ class HydraTrack {
         this.setMascotMessage('goalReached');
     }
 
-    // ==================== XP & Leveling ====================
+    // ==================== Beverages ====================
 
-    addXP(amount) {
-        this.state.xp += amount;
-        this.state.totalXp += amount;
+    getAllBeverages() {
+        return [...this.beverages, ...(this.state.settings.customBeverages || [])];
+    }
 
-        // Check for level up
-        this.checkLevelUp();
+    getBeverage(id) {
+        return this.getAllBeverages().find(b => b.id === id) ||
+            { id: id || 'water', name: 'Other', icon: '🥤', coefficient: 1 };
     }
 
-    checkLevelUp() {
-        const currentLevel = this.state.level;
-        let newLevel = 1;
+    getEntryHydration(entry) {
+        return Hydration.getEntryHydration(entry);
+    }
 
-        for (let i = this.levels.length - 1; i >= 0; i--) {
-            if (this.state.totalXp >= this.levels[i].xpRequired) {
-                newLevel = this.levels[i].level;
-                break;
-            }
+    selectBeverage(id) {
+        this.state.settings.selectedBeverage = id;
+        this.renderBeveragePicker();
+        this.saveState();
+    }
+
+    renderBeveragePicker() {
+        const selected = this.getBeverage(this.state.settings.selectedBeverage);
+
+        this.beveragePicker.innerHTML = this.getAllBeverages().map(b => `
+            <button class="beverage-chip ${b.id === selected.id ? 'active' : ''}" data-beverage="${this.escapeHTML(b.id)}" title="${this.escapeHTML(b.name)} (${Math.round(b.coefficient * 100)}% hydration)">
+                <span class="beverage-chip-icon">${this.escapeHTML(b.icon)}</span>
+                <span class="beverage-chip-name">${this.escapeHTML(b.name)}</span>
+            </button>
+        `).join('');
+
+        // Quick-add XP reflects the effective hydration of the chosen drink
+        this.actionBtns.forEach(btn => {
+            const hydration = Math.round(parseInt(btn.dataset.amount) * selected.coefficient);
+            btn.querySelector('.btn-xp').textContent = `+${this.getXPForAmount(hydration)} XP`;
+        });
+    }
+
+    addCustomBeverage() {
+        const name = this.customBeverageName.value.trim();
+        const icon = this.customBeverageIcon.value.trim() || '🥤';
+        const coefficient = parseFloat(this.customBeverageCoefficient.value);
+        const caffeine = parseFloat(this.customBeverageCaffeine.value) || 0;
+        const sugar = parseFloat(this.customBeverageSugar.value) || 0;
+
+        if (!name) {
+            this.showToast('⚠️', 'Please enter a drink name');
+            return;
+        }
+        if (!(coefficient >= 0 && coefficient <= 1.5)) {
+            this.showToast('⚠️', 'Hydration factor must be between 0 and 1.5');
+            return;
+        }
+        if (caffeine < 0 || caffeine > 500 || sugar < 0 || sugar > 100) {
+            this.showToast('⚠️', 'Please enter valid caffeine and sugar values');
+            return;
         }
 
-        if (newLevel > currentLevel) {
-            this.state.level = newLevel;
-            this.showLevelUp(currentLevel, newLevel);
-            this.checkAchievements();
+        const customBeverages = this.state.settings.customBeverages || [];
+        customBeverages.push({
+            id: `custom-${Date.now().toString(36)}`,
+            name: name,
+            icon: icon,
+            coefficient: coefficient,
+            caffeine: caffeine,
+            sugar: sugar
+        });
+        this.state.settings.customBeverages = customBeverages;
+
+        this.customBeverageName.value = '';
+        this.customBeverageIcon.value = '';
+        this.customBeverageCoefficient.value = '1';
+        this.customBeverageCaffeine.value = '';
+        this.customBeverageSugar.value = '';
+
+        this.saveState();
+        this.renderCustomBeverages();
+        this.renderBeveragePicker();
+        this.showToast(this.escapeHTML(icon), `${this.escapeHTML(name)} added to your drinks`);
+    }
+
+    removeCustomBeverage(id) {
+        this.state.settings.customBeverages = (this.state.settings.customBeverages || []).filter(b => b.id !== id);
+        if (this.state.settings.selectedBeverage === id) {
+            this.state.settings.selectedBeverage = 'water';
         }
+
+        this.saveState();
+        this.renderCustomBeverages();
+        this.renderBeveragePicker();
     }
 
-    getXPForCurrentLevel() {
-        const currentLevelData = this.levels.find(l => l.level === this.state.level);
-        const nextLevelData = this.levels.find(l => l.level === this.state.level + 1);
+    renderCustomBeverages() {
+        const list = document.getElementById('customBeverageList');
+        const customBeverages = this.state.settings.customBeverages || [];
+
+        if (customBeverages.length === 0) {
+            list.innerHTML = '<p class="form-hint">No custom drinks yet</p>';
+            return;
+        }
+
+        list.innerHTML = customBeverages.map(b => `
+            <div class="custom-beverage-item">
+                <span class="custom-beverage-icon">${this.escapeHTML(b.icon)}</span>
+                <span class="custom-beverage-name">${this.escapeHTML(b.name)}</span>
+                <span class="custom-beverage-coefficient">${Math.round(b.coefficient * 100)}%</span>
+                <button class="history-entry-btn" data-remove-beverage="${this.escapeHTML(b.id)}" title="Remove drink">🗑️</button>
+            </div>
+        `).join('');
+    }
 
-        if (!nextLevelData) {
-            return { current: 0, required: 1, percentage: 100 };
+    /**
+     * Volume and effective hydration per beverage, largest share first.
+     */
+    getBeverageBreakdown(entries) {
+        const totals = {};
+
+        entries.forEach(entry => {
+            const id = entry.beverage || 'water';
+            if (!totals[id]) {
+                totals[id] = { beverage: this.getBeverage(id), amount: 0, hydration: 0 };
+            }
+            totals[id].amount += entry.amount;
+            totals[id].hydration += this.getEntryHydration(entry);
+        });
+
+        return Object.values(totals).sort((a, b) => b.hydration - a.hydration);
+    }
+
+    updateIntakeBreakdown() {
+        const today = new Date().toDateString();
+        const breakdown = this.getBeverageBreakdown(this.state.history.filter(h => h.date === today));
+
+        // Only worth showing once something other than water was logged
+        if (breakdown.length === 0 || (breakdown.length === 1 && breakdown[0].beverage.id === 'water')) {
+            this.intakeBreakdown.classList.add('hidden');
+            return;
+        }
+
+        this.intakeBreakdown.innerHTML = breakdown.map(item => `
+            <span class="intake-breakdown-item" title="${item.amount}ml ${this.escapeHTML(item.beverage.name)}">
+                ${this.escapeHTML(item.beverage.icon)} ${item.hydration}ml
+            </span>
+        `).join('');
+        this.intakeBreakdown.classList.remove('hidden');
+    }
+
+    escapeHTML(str) {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // ==================== Caffeine & Sugar ====================
+
+    calculateNutrients(beverage, amount) {
+        return {
+            caffeine: Math.round(amount * (beverage.caffeine || 0) / 100),
+            sugar: Math.round(amount * (beverage.sugar || 0) / 10) / 10
+        };
+    }
+
+    getEntryNutrients(entry) {
+        // Entries logged before nutrients were tracked use the catalog values
+        if (entry.caffeine === undefined || entry.sugar === undefined) {
+            return this.calculateNutrients(this.getBeverage(entry.beverage || 'water'), entry.amount);
         }
+        return { caffeine: entry.caffeine, sugar: entry.sugar };
+    }
 
-        const xpIntoCurrentLevel = this.state.totalXp - currentLevelData.xpRequired;
-        const xpRequiredForNext = nextLevelData.xpRequired - currentLevelData.xpRequired;
+    getNutrientsForDate(dateStr) {
+        return this.state.history
+            .filter(h => h.date === dateStr)
+            .reduce((totals, h) => {
+                const nutrients = this.getEntryNutrients(h);
+                totals.caffeine += nutrients.caffeine;
+                totals.sugar = Math.round((totals.sugar + nutrients.sugar) * 10) / 10;
+                return totals;
+            }, { caffeine: 0, sugar: 0 });
+    }
 
+    getNutrientLimits() {
         return {
-            current: xpIntoCurrentLevel,
-            required: xpRequiredForNext,
-            percentage: (xpIntoCurrentLevel / xpRequiredForNext) * 100
+            caffeineLimit: this.state.settings.caffeineLimit ?? 400,
+            sugarLimit: this.state.settings.sugarLimit ?? 50
         };
     }
 
+    checkNutrientLimits(before, after) {
+        const { caffeineLimit, sugarLimit } = this.getNutrientLimits();
+
+        if (caffeineLimit && before.caffeine <= caffeineLimit && after.caffeine > caffeineLimit) {
+            this.setMascotMessage('caffeineWarning');
+            this.showToast('☕', `Caffeine limit passed: ${after.caffeine}mg of ${caffeineLimit}mg today`);
+        }
+        if (sugarLimit && before.sugar <= sugarLimit && after.sugar > sugarLimit) {
+            this.setMascotMessage('sugarWarning');
+            this.showToast('🍬', `Sugar limit passed: ${after.sugar}g of ${sugarLimit}g today`);
+        }
+    }
+
+    // ==================== Editing History ====================
+
+    generateEntryId() {
+        return StateSchema.generateId();
+    }
+
+    findEntry(id) {
+        return this.state.history.find(h => h.id === id);
+    }
+
+    undoLastDrink() {
+        if (!this.lastEntryId || !this.findEntry(this.lastEntryId)) {
+            this.showToast('⚠️', 'Nothing to undo');
+            return;
+        }
+        this.removeEntry(this.lastEntryId);
+        this.showToast('↩️', 'Drink removed');
+    }
+
+    removeEntry(id) {
+        const entry = this.findEntry(id);
+        if (!entry) return;
+
+        const totalBefore = this.getIntakeForDateString(entry.date);
+        this.state.history.splice(this.state.history.indexOf(entry), 1);
+        this.statsEngine.removeEntry(entry);
+        this.markDeleted([id]);
+        if (this.lastEntryId === id) this.lastEntryId = null;
+
+        // Roll back the goal and achievements the drink earned
+        const revokeCandidates = [...(entry.achievements || [])];
+        const totalAfter = this.getIntakeForDateString(entry.date);
+        const goal = this.getTargetForDate(entry.date);
+        const goalEntry = (totalBefore >= goal && totalAfter < goal) ? this.revokeGoal(entry.date, entry) : null;
+        if (goalEntry) {
+            revokeCandidates.push(...(goalEntry.achievements || []));
+        } else if (entry.goalReached) {
+            // Day still meets the goal, so keep the marker on a remaining drink
+            const remaining = this.state.history.filter(h => h.date === entry.date);
+            if (remaining.length > 0) {
+                remaining[remaining.length - 1].goalReached = entry.goalReached;
+            }
+        }
+
+        this.revokeAchievements(revokeCandidates);
+        this.afterHistoryChange();
+    }
+
+    updateEntryAmount(id, amount) {
+        const entry = this.findEntry(id);
+        if (!entry || amount === entry.amount) return;
+
+        const totalBefore = this.getIntakeForDateString(entry.date);
+        const oldAmount = entry.amount;
+        const oldHydration = this.getEntryHydration(entry);
+
+        const nutrientsBefore = this.getNutrientsForDate(entry.date);
+        const oldNutrients = this.getEntryNutrients(entry);
+
+        // Keep the coefficient and nutrient values the drink was logged with
+        const coefficient = oldAmount > 0 ? oldHydration / oldAmount : 1;
+        const scale = oldAmount > 0 ? amount / oldAmount : 1;
+        entry.amount = amount;
+        entry.hydration = Math.round(amount * coefficient);
+        entry.caffeine = Math.round(oldNutrients.caffeine * scale);
+        entry.sugar = Math.round(oldNutrients.sugar * scale * 10) / 10;
+        entry.xp = this.getXPForAmount(entry.hydration);
+        entry.updatedAt = new Date().toISOString();
+        this.statsEngine.updateEntry(entry, oldHydration);
+
+        const totalAfter = this.getIntakeForDateString(entry.date);
+        const goal = this.getTargetForDate(entry.date);
+
+        if (amount > oldAmount) {
+            const unlockedBefore = new Set(Object.keys(this.state.achievements));
+            if (totalBefore < goal && totalAfter >= goal) {
+                this.grantGoalForDate(entry.date, entry);
+            }
+            this.checkAchievements();
+            const unlocked = Object.keys(this.state.achievements).filter(a => !unlockedBefore.has(a));
+            entry.achievements = [...(entry.achievements || []), ...unlocked];
+            if (entry.date === new Date().toDateString()) {
+                this.checkNutrientLimits(nutrientsBefore, this.getNutrientsForDate(entry.date));
+            }
+        } else {
+            const revokeCandidates = [...(entry.achievements || [])];
+            const goalEntry = (totalBefore >= goal && totalAfter < goal) ? this.revokeGoal(entry.date) : null;
+            if (goalEntry) {
+                revokeCandidates.push(...(goalEntry.achievements || []));
+            }
+            this.revokeAchievements(revokeCandidates);
+        }
+
+        this.afterHistoryChange();
+    }
+
+    /**
+     * Undo the goal bonus of a day that no longer reaches the goal.
+     * Returns the entry that carried the goal marker.
+     */
+    revokeGoal(date, removedEntry = null) {
+        const goalEntry = (removedEntry && removedEntry.goalReached)
+            ? removedEntry
+            : this.state.history.find(h => h.date === date && h.goalReached);
+        if (goalEntry) delete goalEntry.goalReached;
+
+        return goalEntry || removedEntry || {};
+    }
+
+    grantGoalForDate(date, entry) {
+        if (date === new Date().toDateString()) {
+            this.handleGoalAchieved(entry);
+            return;
+        }
+
+        entry.goalReached = true;
+    }
+
+    revokeAchievements(ids) {
+        this.refreshStats();
+        let changed = true;
+
+        // Loop because losing XP can also undo level-based achievements
+        while (changed) {
+            changed = false;
+            ids.forEach(id => {
+                const achievement = this.achievementsDef.find(a => a.id === id);
+                if (!achievement || !this.state.achievements[id]) return;
+                if (!Achievements.isEarned(achievement, this.state)) {
+                    delete this.state.achievements[id];
+                    this.refreshStats();
+                    changed = true;
+                }
+            });
+        }
+    }
+
+    afterHistoryChange() {
+        this.saveState();
+        this.updateDisplay();
+        this.renderAchievements();
+        this.updateMascotMood();
+        if (!this.historyModal.classList.contains('hidden')) {
+            this.renderHistory();
+        }
+    }
+
+    handleHistoryAction(action, id) {
+        const entry = this.findEntry(id);
+        if (!entry) return;
+
+        if (action === 'delete') {
+            if (confirm(`Delete ${entry.amount}ml drink?`)) {
+                this.removeEntry(id);
+                this.showToast('🗑️', 'Drink deleted');
+            }
+        } else if (action === 'edit') {
+            const input = prompt('New amount (ml):', entry.amount);
+            if (input === null) return;
+
+            const amount = parseInt(input);
+            if (amount > 0 && amount <= 2000) {
+                this.updateEntryAmount(id, amount);
+                this.showToast('✏️', 'Drink updated');
+            } else {
+                this.showToast('⚠️', 'Please enter a valid amount (1-2000ml)');
+            }
+        }
+    }
+
+    // ==================== XP & Leveling ====================
+
+    getXPForAmount(amount) {
+        return Progression.getXPForAmount(amount);
+    }
+
+    getLevelForXP(totalXp) {
+        return Progression.getLevelForXP(totalXp);
+    }
+
+    /**
+     * Re-derive XP and level after drinks, goals or achievements changed,
+     * and celebrate a level up.
+     */
+    updateProgress() {
+        const currentLevel = this.state.level;
+        this.refreshStats();
+
+        if (this.state.level > currentLevel) {
+            this.showLevelUp(currentLevel, this.state.level);
+            this.checkAchievements();
+        }
+    }
+
+    getXPForCurrentLevel() {
+        return Progression.getLevelProgress(this.state.totalXp, this.state.level);
+    }
+
     // ==================== Achievements ====================
 
     checkAchievements() {
-        let newAchievements = [];
-
-        this.achievementsDef.forEach(achievement => {
-            if (!this.state.achievements[achievement.id] && achievement.condition(this.state)) {
-                this.state.achievements[achievement.id] = {
-                    unlockedAt: new Date().toISOString()
-                };
-                newAchievements.push(achievement);
-            }
+        this.updateProgress();
+
+        const newAchievements = Achievements.findNewlyUnlocked(this.state);
+        newAchievements.forEach(achievement => {
+            this.state.achievements[achievement.id] = {
+                unlockedAt: new Date().toISOString()
+            };
         });
 
         if (newAchievements.length > 0) {
             // Show first new achievement
             this.showAchievementUnlocked(newAchievements[0]);
 
-            // Add XP for achievements
-            newAchievements.forEach(a => {
-                this.addXP(a.xp);
-            });
+            // Their XP counts towards the level
+            this.updateProgress();
 
             // Show badge dot
             document.getElementById('newBadgeDot').classList.remove('hidden');
@@ -698,12 +1903,19 @@ class HydraTrack {
     // ==================== Display Updates ====================
 
     updateDisplay() {
+        this.refreshStats();
         // Update progress
         this.currentIntakeEl.textContent = this.state.currentIntake;
-        this.dailyGoalEl.textContent = this.state.dailyGoal;
+        const todayGoal = this.getTargetForDate(new Date());
+        this.dailyGoalEl.textContent = todayGoal;
+
+        // Show today's workout bonus
+        const activityBonus = this.getActivityBonusForDate(new Date());
+        this.activityBonusEl.textContent = `🏃 +${activityBonus}ml workout`;
+        this.activityBonusEl.classList.toggle('hidden', activityBonus === 0);
 
         // Calculate percentage
-        const percentage = Math.min((this.state.currentIntake / this.state.dailyGoal) * 100, 100);
+        const percentage = Math.min((this.state.currentIntake / todayGoal) * 100, 100);
         this.progressPercentage.textContent = `${Math.round(percentage)}%`;
 
         // Update progress ring
@@ -714,6 +1926,9 @@ class HydraTrack {
         // Update water drops
         this.updateWaterDrops(percentage);
 
+        // Update per-beverage breakdown
+        this.updateIntakeBreakdown();
+
         // Update streak
         this.streakCount.textContent = this.state.streak;
 
@@ -771,7 +1986,7 @@ class HydraTrack {
     }
 
     updateMascotMood() {
-        const percentage = (this.state.currentIntake / this.state.dailyGoal) * 100;
+        const percentage = (this.state.currentIntake / this.getTargetForDate(new Date())) * 100;
         const mouth = this.mascot.querySelector('.mascot-mouth');
 
         if (percentage >= 100) {
@@ -827,6 +2042,8 @@ class HydraTrack {
                 this.openModal(this.historyModal);
                 break;
             case 'reminder':
+                // A snooze may have run out since the status was drawn
+                this.updateReminderStatus();
                 this.openModal(this.reminderModal);
                 break;
             default:
@@ -910,71 +2127,236 @@ class HydraTrack {
         }, 1500);
     }
 
-    showToast(icon, message) {
+    showToast(icon, message, action = null) {
         const toast = document.createElement('div');
-        toast.className = 'toast';
+        toast.className = action ? 'toast toast-long' : 'toast';
         toast.innerHTML = `
             <span class="toast-icon">${icon}</span>
             <span class="toast-message">${message}</span>
         `;
+
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.className = 'toast-action';
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', () => {
+                toast.remove();
+                action.onClick();
+            });
+            toast.appendChild(actionBtn);
+        }
+
         this.toastContainer.appendChild(toast);
 
         setTimeout(() => {
             toast.remove();
-        }, 3000);
+        }, action ? 5000 : 3000);
     }
 
     // ==================== History ====================
 
     renderHistory() {
         // Update stats
-        document.getElementById('totalDays').textContent = this.state.stats.totalDays || this.calculateTotalDays();
-        document.getElementById('totalWater').textContent = this.formatWaterAmount(this.state.stats.totalWater);
-        document.getElementById('bestStreak').textContent = this.state.stats.bestStreak;
-        document.getElementById('perfectDays').textContent = this.state.stats.perfectDays;
+        const stats = this.statsEngine.getStats();
+        document.getElementById('totalDays').textContent = stats.totalDays;
+        document.getElementById('totalWater').textContent = this.formatWaterAmount(stats.totalWater);
+        document.getElementById('bestStreak').textContent = stats.bestStreak;
+        document.getElementById('perfectDays').textContent = stats.perfectDays;
+
+        const cursor = this.getHistoryCursor();
+        const isCurrent = cursor.toDateString() === new Date().toDateString();
+        document.getElementById('historyNavLabel').textContent = cursor.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        document.getElementById('historyToday').classList.toggle('hidden', isCurrent);
+
+        // Render month calendar and summary
+        this.renderCalendar(cursor);
+        this.renderMonthSummary(cursor);
 
         // Render weekly chart
-        this.renderWeeklyChart();
+        const weekStart = new Date(cursor);
+        weekStart.setDate(weekStart.getDate() - 6);
+        document.getElementById('weeklyChartTitle').textContent = isCurrent
+            ? '📈 Last 7 Days'
+            : `📈 ${this.formatShortDate(weekStart)} – ${this.formatShortDate(cursor)}`;
+        this.renderWeeklyChart(cursor);
+
+        // Render caffeine & sugar chart
+        this.renderNutrientChart(cursor);
 
         // Render history list
-        this.renderHistoryList();
+        this.renderHistoryList(cursor);
     }
 
-    calculateTotalDays() {
-        const dates = new Set(this.state.history.map(h => h.date));
-        return dates.size;
+    getHistoryCursor() {
+        return this.historyCursor ? new Date(this.historyCursor) : new Date();
     }
 
-    formatWaterAmount(ml) {
-        if (ml >= 1000) {
-            return `${(ml / 1000).toFixed(1)}L`;
+    shiftHistoryCursor(unit, direction) {
+        const cursor = this.getHistoryCursor();
+
+        if (unit === 'week') {
+            cursor.setDate(cursor.getDate() + 7 * direction);
+        } else {
+            // Clamp to the last day of the target month (e.g. Mar 31 -> Feb 28)
+            const day = cursor.getDate();
+            cursor.setDate(1);
+            if (unit === 'month') cursor.setMonth(cursor.getMonth() + direction);
+            if (unit === 'year') cursor.setFullYear(cursor.getFullYear() + direction);
+            const lastDay = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0).getDate();
+            cursor.setDate(Math.min(day, lastDay));
         }
-        return `${ml}ml`;
+
+        // There is nothing to browse in the future
+        this.historyCursor = cursor >= new Date() ? null : cursor;
+        this.renderHistory();
     }
 
-    renderWeeklyChart() {
-        const chart = document.getElementById('weeklyChart');
-        const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-        const today = new Date();
-        let chartHTML = '';
-        let weeklyData = [];
+    resetHistoryCursor() {
+        this.historyCursor = null;
+        this.renderHistory();
+    }
 
-        for (let i = 6; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            const dateStr = date.toDateString();
+    formatShortDate(date) {
+        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    }
 
-            const intake = this.state.history
-                .filter(h => h.date === dateStr)
-                .reduce((sum, h) => sum + h.amount, 0);
+    getHeatLevel(intake, goal) {
+        if (intake <= 0) return 0;
+        const percentage = (intake / goal) * 100;
+        if (percentage >= 100) return 4;
+        if (percentage >= 75) return 3;
+        if (percentage >= 50) return 2;
+        return 1;
+    }
+
+    renderCalendar(cursor) {
+        const calendar = document.getElementById('historyCalendar');
+        const year = cursor.getFullYear();
+        const month = cursor.getMonth();
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        const firstWeekday = new Date(year, month, 1).getDay();
+        const today = new Date();
+        const todayStr = today.toDateString();
+
+        let html = ['S', 'M', 'T', 'W', 'T', 'F', 'S']
+            .map(d => `<span class="calendar-weekday">${d}</span>`)
+            .join('');
+
+        for (let i = 0; i < firstWeekday; i++) {
+            html += '<span class="calendar-day empty"></span>';
+        }
+
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = new Date(year, month, day);
+            const dateStr = date.toDateString();
+            const isFuture = date > today && dateStr !== todayStr;
+            const intake = this.getIntakeForDateString(dateStr);
+            const goal = this.getTargetForDate(date);
+            const level = isFuture ? 0 : this.getHeatLevel(intake, goal);
+            const classes = [
+                'calendar-day',
+                `level-${level}`,
+                dateStr === todayStr ? 'today' : '',
+                isFuture ? 'future' : '',
+                this.expandedHistoryDates.has(dateStr) ? 'selected' : ''
+            ].join(' ');
+
+            html += `
+                <button class="${classes}" data-calendar-date="${dateStr}" ${isFuture ? 'disabled' : ''}
+                    title="${this.formatShortDate(date)}: ${intake}ml of ${goal}ml">${day}</button>
+            `;
+        }
+
+        calendar.innerHTML = html;
+    }
+
+    renderMonthSummary(cursor) {
+        const year = cursor.getFullYear();
+        const month = cursor.getMonth();
+        const today = new Date();
+        const monthEnd = new Date(year, month + 1, 0);
+
+        // Only days that have already happened count towards averages
+        const lastDay = (today.getFullYear() === year && today.getMonth() === month)
+            ? today.getDate()
+            : (monthEnd < today ? monthEnd.getDate() : 0);
+
+        let total = 0;
+        let daysMet = 0;
+        let activeDays = 0;
+        for (let day = 1; day <= lastDay; day++) {
+            const date = new Date(year, month, day);
+            const intake = this.getIntakeForDateString(date.toDateString());
+            total += intake;
+            if (intake > 0) activeDays++;
+            if (intake > 0 && intake >= this.getTargetForDate(date)) daysMet++;
+        }
+
+        const average = lastDay > 0 ? Math.round(total / lastDay) : 0;
+        const hitRate = lastDay > 0 ? Math.round((daysMet / lastDay) * 100) : 0;
+
+        document.getElementById('monthSummary').innerHTML = `
+            <div class="chart-stat">
+                <span class="chart-stat-value">${this.formatWaterAmount(total)}</span>
+                <span class="chart-stat-label">Month Total</span>
+            </div>
+            <div class="chart-stat">
+                <span class="chart-stat-value">${this.formatWaterAmount(average)}</span>
+                <span class="chart-stat-label">Daily Avg</span>
+            </div>
+            <div class="chart-stat">
+                <span class="chart-stat-value">${hitRate}%</span>
+                <span class="chart-stat-label">Goal Hit Rate</span>
+            </div>
+            <div class="chart-stat">
+                <span class="chart-stat-value">${activeDays}</span>
+                <span class="chart-stat-label">Active Days</span>
+            </div>
+        `;
+    }
+
+    showHistoryDay(dateStr) {
+        this.expandedHistoryDates = new Set([dateStr]);
+        this.renderHistory();
+
+        const card = [...document.querySelectorAll('.history-day')].find(el => el.dataset.date === dateStr);
+        if (card) {
+            card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        } else {
+            this.showToast('📭', `Nothing logged on ${this.formatShortDate(new Date(dateStr))}`);
+        }
+    }
+
+    formatWaterAmount(ml) {
+        if (ml >= 1000) {
+            return `${(ml / 1000).toFixed(1)}L`;
+        }
+        return `${ml}ml`;
+    }
+
+    renderWeeklyChart(endDate = new Date()) {
+        const chart = document.getElementById('weeklyChart');
+        const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const today = new Date(endDate);
+        const todayStr = new Date().toDateString();
+        let chartHTML = '';
+        let weeklyData = [];
+
+        for (let i = 6; i >= 0; i--) {
+            const date = new Date(today);
+            date.setDate(date.getDate() - i);
+            const dateStr = date.toDateString();
+
+            const intake = this.getIntakeForDateString(dateStr);
 
             weeklyData.push({
                 date: date,
                 day: days[date.getDay()],
                 intake: intake,
-                percentage: Math.min((intake / this.state.dailyGoal) * 100, 100),
-                isToday: i === 0,
-                isComplete: intake >= this.state.dailyGoal
+                goal: this.getTargetForDate(date),
+                percentage: Math.min((intake / this.getTargetForDate(date)) * 100, 100),
+                isToday: dateStr === todayStr,
+                isComplete: intake >= this.getTargetForDate(date)
             });
         }
 
@@ -1004,7 +2386,7 @@ class HydraTrack {
         weeklyData.forEach(data => {
             const barClass = data.isToday ? 'today' : (data.isComplete ? 'complete' : '');
             chartHTML += `
-                <div class="chart-bar" title="${data.intake}ml">
+                <div class="chart-bar" title="${data.intake}ml of ${data.goal}ml">
                     <span class="bar-value">${data.intake > 0 ? this.formatWaterAmount(data.intake) : '-'}</span>
                     <div class="bar-container">
                         <div class="bar-fill ${barClass}" style="height: ${Math.max(data.percentage, 3)}%"></div>
@@ -1031,14 +2413,105 @@ class HydraTrack {
             </div>
         `;
 
+        // Per-beverage breakdown for the week
+        const weekDates = new Set(weeklyData.map(d => d.date.toDateString()));
+        const breakdown = this.getBeverageBreakdown(this.state.history.filter(h => weekDates.has(h.date)));
+        if (breakdown.length > 0) {
+            chartHTML += '<div class="chart-breakdown">';
+            breakdown.forEach(item => {
+                const share = weekTotal > 0 ? Math.round((item.hydration / weekTotal) * 100) : 0;
+                chartHTML += `
+                    <div class="breakdown-row">
+                        <span class="breakdown-icon">${this.escapeHTML(item.beverage.icon)}</span>
+                        <span class="breakdown-name">${this.escapeHTML(item.beverage.name)}</span>
+                        <span class="breakdown-amount">${this.formatWaterAmount(item.amount)} → ${this.formatWaterAmount(item.hydration)}</span>
+                        <span class="breakdown-share">${share}%</span>
+                    </div>
+                `;
+            });
+            chartHTML += '</div>';
+        }
+
         chart.innerHTML = chartHTML;
     }
 
-    renderHistoryList() {
+    renderNutrientChart(endDate = new Date()) {
+        const chart = document.getElementById('nutrientChart');
+        const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const { caffeineLimit, sugarLimit } = this.getNutrientLimits();
+        const today = new Date(endDate);
+        const dailyData = [];
+
+        for (let i = 6; i >= 0; i--) {
+            const date = new Date(today);
+            date.setDate(date.getDate() - i);
+            const nutrients = this.getNutrientsForDate(date.toDateString());
+
+            dailyData.push({
+                day: days[date.getDay()],
+                caffeine: nutrients.caffeine,
+                sugar: nutrients.sugar,
+                caffeinePercent: caffeineLimit ? Math.min((nutrients.caffeine / caffeineLimit) * 100, 100) : 0,
+                sugarPercent: sugarLimit ? Math.min((nutrients.sugar / sugarLimit) * 100, 100) : 0,
+                caffeineOver: caffeineLimit && nutrients.caffeine > caffeineLimit,
+                sugarOver: sugarLimit && nutrients.sugar > sugarLimit
+            });
+        }
+
+        const todayData = dailyData[dailyData.length - 1];
+        const dayLabel = today.toDateString() === new Date().toDateString() ? 'Today' : this.formatShortDate(today);
+        const daysOver = dailyData.filter(d => d.caffeineOver || d.sugarOver).length;
+
+        let chartHTML = `
+            <div class="chart-summary">
+                <div class="chart-stat">
+                    <span class="chart-stat-value">${todayData.caffeine}mg</span>
+                    <span class="chart-stat-label">Caffeine ${dayLabel}</span>
+                </div>
+                <div class="chart-stat">
+                    <span class="chart-stat-value">${todayData.sugar}g</span>
+                    <span class="chart-stat-label">Sugar ${dayLabel}</span>
+                </div>
+                <div class="chart-stat">
+                    <span class="chart-stat-value">${daysOver}/7</span>
+                    <span class="chart-stat-label">Over Limit</span>
+                </div>
+            </div>
+            <div class="chart-bars">
+        `;
+
+        dailyData.forEach(data => {
+            chartHTML += `
+                <div class="chart-bar" title="${data.caffeine}mg caffeine, ${data.sugar}g sugar">
+                    <div class="bar-container nutrient-bar-container">
+                        <div class="nutrient-fill caffeine ${data.caffeineOver ? 'over' : ''}" style="height: ${Math.max(data.caffeinePercent, 3)}%"></div>
+                        <div class="nutrient-fill sugar ${data.sugarOver ? 'over' : ''}" style="height: ${Math.max(data.sugarPercent, 3)}%"></div>
+                    </div>
+                    <span class="bar-label">${data.day}</span>
+                </div>
+            `;
+        });
+
+        chartHTML += `
+            </div>
+            <div class="nutrient-legend">
+                <span class="nutrient-legend-item"><span class="nutrient-swatch caffeine"></span>Caffeine (limit ${caffeineLimit}mg)</span>
+                <span class="nutrient-legend-item"><span class="nutrient-swatch sugar"></span>Sugar (limit ${sugarLimit}g)</span>
+            </div>
+        `;
+
+        chart.innerHTML = chartHTML;
+    }
+
+    renderHistoryList(cursor = this.getHistoryCursor()) {
         const list = document.getElementById('historyList');
 
-        // Group history by date
-        const groupedHistory = this.state.history.reduce((groups, entry) => {
+        // Group the browsed month's history by date
+        const monthEntries = this.state.history.filter(h => {
+            const date = new Date(h.date);
+            return date.getFullYear() === cursor.getFullYear() && date.getMonth() === cursor.getMonth();
+        });
+        const groupedHistory = monthEntries.reduce((groups, entry) => {
             const date = entry.date;
             if (!groups[date]) {
                 groups[date] = [];
@@ -1050,10 +2523,11 @@ class HydraTrack {
         // Sort dates in reverse chronological order
         const sortedDates = Object.keys(groupedHistory).sort((a, b) =>
             new Date(b) - new Date(a)
-        ).slice(0, 7); // Show last 7 days
+        );
 
         if (sortedDates.length === 0) {
-            list.innerHTML = '<p style="text-align: center; color: var(--text-muted);">No water logged yet. Start tracking!</p>';
+            const message = this.state.history.length === 0 ? 'No water logged yet. Start tracking!' : 'Nothing logged this month.';
+            list.innerHTML = `<p style="text-align: center; color: var(--text-muted);">${message}</p>`;
             return;
         }
 
@@ -1063,9 +2537,10 @@ class HydraTrack {
 
         sortedDates.forEach(date => {
             const entries = groupedHistory[date];
-            const totalAmount = entries.reduce((sum, e) => sum + e.amount, 0);
-            const goalPercent = Math.round((totalAmount / this.state.dailyGoal) * 100);
-            const isComplete = totalAmount >= this.state.dailyGoal;
+            const totalAmount = entries.reduce((sum, e) => sum + this.getEntryHydration(e), 0);
+            const dayGoal = this.getTargetForDate(date);
+            const goalPercent = Math.round((totalAmount / dayGoal) * 100);
+            const isComplete = totalAmount >= dayGoal;
 
             // Format date label
             let dateLabel = date;
@@ -1073,12 +2548,34 @@ class HydraTrack {
             else if (date === yesterday) dateLabel = 'Yesterday';
             else dateLabel = new Date(date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
 
+            const activitiesHTML = this.getActivitiesForDate(date).map(a => {
+                const type = this.getActivityType(a.type);
+                return `<div class="history-day-activity">${type.icon} ${a.duration}min ${type.name.toLowerCase()} · +${a.bonus}ml goal</div>`;
+            }).join('');
+
+            const isExpanded = this.expandedHistoryDates.has(date);
+            const entriesHTML = entries.slice().reverse().map(entry => {
+                const beverage = this.getBeverage(entry.beverage || 'water');
+                const hydration = this.getEntryHydration(entry);
+                return `
+                <div class="history-entry">
+                    <span class="history-entry-icon" title="${this.escapeHTML(beverage.name)}">${this.escapeHTML(beverage.icon)}</span>
+                    <span class="history-entry-time" title="${new Date(entry.timestamp).toLocaleString()}">${new Date(entry.timestamp).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}</span>
+                    <span class="history-entry-amount">${entry.amount}ml${hydration !== entry.amount ? ` <small>(${hydration}ml)</small>` : ''}</span>
+                    <div class="history-entry-actions">
+                        <button class="history-entry-btn" data-action="edit" data-id="${this.escapeHTML(entry.id)}" title="Edit amount">✏️</button>
+                        <button class="history-entry-btn" data-action="delete" data-id="${this.escapeHTML(entry.id)}" title="Delete drink">🗑️</button>
+                    </div>
+                </div>
+            `;
+            }).join('');
+
             html += `
-                <div class="history-day">
+                <div class="history-day ${isExpanded ? 'expanded' : ''}" data-date="${date}">
                     <div class="history-day-header">
                         <div class="history-day-info">
                             <span class="history-day-date">${dateLabel}</span>
-                            <span class="history-day-entries">${entries.length} drinks</span>
+                            <span class="history-day-entries">${entries.length} drinks · goal ${this.formatWaterAmount(dayGoal)}</span>
                         </div>
                         <div class="history-day-stats">
                             <span class="history-day-total ${isComplete ? 'complete' : ''}">${totalAmount}ml</span>
@@ -1088,6 +2585,8 @@ class HydraTrack {
                     <div class="history-day-bar">
                         <div class="history-day-fill ${isComplete ? 'complete' : ''}" style="width: ${Math.min(goalPercent, 100)}%"></div>
                     </div>
+                    ${activitiesHTML}
+                    <div class="history-entries">${entriesHTML}</div>
                 </div>
             `;
         });
@@ -1095,21 +2594,327 @@ class HydraTrack {
         list.innerHTML = html;
     }
 
+    toggleHistoryDay(date) {
+        if (this.expandedHistoryDates.has(date)) {
+            this.expandedHistoryDates.delete(date);
+        } else {
+            this.expandedHistoryDates.add(date);
+        }
+        this.renderHistoryList();
+        this.renderCalendar(this.getHistoryCursor());
+    }
+
+    // ==================== Workouts ====================
+
+    getActivityType(id) {
+        return this.activityTypes.find(t => t.id === id) || this.activityTypes[this.activityTypes.length - 1];
+    }
+
+    // Unknown intensities count as moderate
+    getActivityIntensity(id) {
+        return Object.keys(this.activityIntensity).includes(id) ? this.activityIntensity[id] : this.activityIntensity.moderate;
+    }
+
+    calculateActivityBonus(duration, intensity) {
+        const { perMinute } = this.getActivityIntensity(intensity);
+        return Math.min(Math.round((duration * perMinute) / 50) * 50, 2000);
+    }
+
+    getActivitiesForDate(date) {
+        return Hydration.getActivitiesForDate(this.state, date);
+    }
+
+    getActivityBonusForDate(date) {
+        return Hydration.getActivityBonusForDate(this.state, date);
+    }
+
+    /**
+     * Total target for a day: the goal in effect plus that day's workout bonus.
+     */
+    getTargetForDate(date) {
+        return Hydration.getTargetForDate(this.state, date);
+    }
+
+    openActivityModal() {
+        this.updateActivityPreview();
+        this.renderActivityList();
+        this.openModal(this.activityModal);
+    }
+
+    updateActivityPreview() {
+        const duration = parseInt(document.getElementById('activityDuration').value) || 0;
+        const intensity = document.getElementById('activityIntensityInput').value;
+        document.getElementById('activityBonusPreview').textContent = `+${this.calculateActivityBonus(duration, intensity)}ml`;
+    }
+
+    logActivity() {
+        const type = document.getElementById('activityType').value;
+        const duration = parseInt(document.getElementById('activityDuration').value);
+        const intensity = document.getElementById('activityIntensityInput').value;
+
+        if (!(duration > 0 && duration <= 600)) {
+            this.showToast('⚠️', 'Please enter a duration of 1-600 minutes');
+            return;
+        }
+
+        const activity = {
+            id: this.generateEntryId(),
+            type: type,
+            duration: duration,
+            intensity: intensity,
+            bonus: this.calculateActivityBonus(duration, intensity),
+            timestamp: new Date().toISOString(),
+            date: new Date().toDateString(),
+            deviceId: this.deviceId
+        };
+
+        this.changeTodayTarget(() => {
+            this.state.activities = [...(this.state.activities || []), activity];
+        });
+
+        this.renderActivityList();
+        this.showToast(this.getActivityType(type).icon, `Workout logged: +${activity.bonus}ml to today's goal`);
+    }
+
+    removeActivity(id) {
+        this.changeTodayTarget(() => {
+            this.state.activities = (this.state.activities || []).filter(a => a.id !== id);
+            this.markDeleted([id]);
+        });
+        this.renderActivityList();
+    }
+
+    /**
+     * Apply a change to today's workouts and settle the goal bonus if the
+     * day's completion flips either way.
+     */
+    changeTodayTarget(change) {
+        const today = new Date().toDateString();
+        const intake = this.getIntakeForDateString(today);
+        const wasMet = intake >= this.getTargetForDate(today);
+
+        change();
+
+        const isMet = intake >= this.getTargetForDate(today);
+        const todaysEntries = this.state.history.filter(h => h.date === today);
+
+        if (wasMet && !isMet) {
+            const goalEntry = this.revokeGoal(today);
+            this.revokeAchievements(goalEntry.achievements || []);
+            this.setMascotMessage('lowProgress');
+        } else if (!wasMet && isMet && todaysEntries.length > 0) {
+            this.grantGoalForDate(today, todaysEntries[todaysEntries.length - 1]);
+            this.checkAchievements();
+        }
+
+        this.saveState();
+        this.updateDisplay();
+        this.renderAchievements();
+    }
+
+    renderActivityList() {
+        const list = document.getElementById('activityList');
+        const activities = this.getActivitiesForDate(new Date());
+
+        if (activities.length === 0) {
+            list.innerHTML = '<p class="form-hint">No workouts logged today</p>';
+            return;
+        }
+
+        list.innerHTML = activities.map(a => {
+            const type = this.getActivityType(a.type);
+            return `
+                <div class="activity-item">
+                    <span class="activity-item-icon">${type.icon}</span>
+                    <span class="activity-item-name">${type.name} · ${this.escapeHTML(a.duration)}min · ${this.getActivityIntensity(a.intensity).name}</span>
+                    <span class="activity-item-bonus">+${a.bonus}ml</span>
+                    <button class="history-entry-btn" data-remove-activity="${this.escapeHTML(a.id)}" title="Remove workout">🗑️</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // ==================== Daily Goal ====================
+
+    getDateKey(date) {
+        return Hydration.getDateKey(date);
+    }
+
+    /**
+     * Goal that applied on the given day, looked up in the dated goal log.
+     */
+    getGoalForDate(date) {
+        return Hydration.getGoalForDate(this.state, date);
+    }
+
+    ensureGoalHistory() {
+        // States saved before the goal log existed judged every day against
+        // the current goal, so that goal becomes the goal for all past days
+        if (!Array.isArray(this.state.goalHistory) || this.state.goalHistory.length === 0) {
+            this.state.goalHistory = [{ from: '1970-01-01', goal: this.state.dailyGoal }];
+        }
+        this.state.goalHistory.sort((a, b) => a.from.localeCompare(b.from));
+        this.statsEngine.invalidateTargets();
+    }
+
+    setDailyGoal(goal) {
+        this.ensureGoalHistory();
+        const log = this.state.goalHistory;
+        const todayKey = this.getDateKey(new Date());
+        const last = log[log.length - 1];
+        if (last.from === todayKey) {
+            last.goal = goal;
+        } else {
+            log.push({ from: todayKey, goal: goal });
+        }
+        this.statsEngine.invalidateTargets();
+
+        this.state.dailyGoal = goal;
+    }
+
+    /**
+     * Suggest a daily goal from body weight, age, sex, activity and climate.
+     * Returns the rounded goal plus the steps used to work it out.
+     */
+    calculateSuggestedGoal(profile) {
+        const steps = [];
+        const mlPerKg = profile.age < 30 ? 35 : (profile.age <= 55 ? 33 : 30);
+        const ageLabel = profile.age < 30 ? 'under 30' : (profile.age <= 55 ? '30–55' : 'over 55');
+        let goal = profile.weight * mlPerKg;
+        steps.push(`${profile.weight}kg × ${mlPerKg}ml (age ${ageLabel}) = ${Math.round(goal)}ml`);
+
+        const sexFactors = { male: 1, female: 0.9, other: 0.95 };
+        const sexFactor = sexFactors[profile.sex] ?? 1;
+        if (sexFactor !== 1) {
+            goal *= sexFactor;
+            steps.push(`${profile.sex === 'female' ? 'Female' : 'Other'}: × ${sexFactor} = ${Math.round(goal)}ml`);
+        }
+
+        const activityBonus = { sedentary: 0, light: 250, moderate: 500, active: 750, athlete: 1000 };
+        const activityLabels = { sedentary: 'Sedentary', light: 'Light activity', moderate: 'Moderate activity', active: 'Very active', athlete: 'Athlete' };
+        if (activityBonus[profile.activity]) {
+            goal += activityBonus[profile.activity];
+            steps.push(`${activityLabels[profile.activity]}: +${activityBonus[profile.activity]}ml`);
+        }
+
+        const climateBonus = { cool: 0, temperate: 0, warm: 250, hot: 500, extreme: 750 };
+        const climateLabels = { cool: 'Cool', temperate: 'Temperate', warm: 'Warm (25–30°C)', hot: 'Hot (30–35°C)', extreme: 'Very hot (35°C+)' };
+        if (climateBonus[profile.climate]) {
+            goal += climateBonus[profile.climate];
+            steps.push(`${climateLabels[profile.climate]} climate: +${climateBonus[profile.climate]}ml`);
+        }
+
+        const rounded = Math.min(Math.max(Math.round(goal / 50) * 50, 500), 5000);
+        steps.push(`Rounded to ${rounded}ml`);
+
+        return { goal: rounded, steps };
+    }
+
+    readGoalProfile() {
+        return {
+            weight: parseFloat(document.getElementById('wizardWeight').value),
+            sex: document.getElementById('wizardSex').value,
+            age: parseInt(document.getElementById('wizardAge').value),
+            activity: document.getElementById('wizardActivity').value,
+            climate: document.getElementById('wizardClimate').value
+        };
+    }
+
+    isValidGoalProfile(profile) {
+        return profile.weight >= 30 && profile.weight <= 250 &&
+            profile.age >= 10 && profile.age <= 110;
+    }
+
+    openGoalWizard() {
+        const profile = this.state.settings.goalProfile;
+        if (profile) {
+            document.getElementById('wizardWeight').value = profile.weight;
+            document.getElementById('wizardSex').value = profile.sex;
+            document.getElementById('wizardAge').value = profile.age;
+            document.getElementById('wizardActivity').value = profile.activity;
+            document.getElementById('wizardClimate').value = profile.climate;
+        }
+
+        this.updateGoalSuggestion();
+        this.openModal(this.goalWizardModal);
+    }
+
+    updateGoalSuggestion() {
+        const profile = this.readGoalProfile();
+        const result = document.getElementById('goalSuggestion');
+
+        if (!this.isValidGoalProfile(profile)) {
+            result.classList.add('hidden');
+            return;
+        }
+
+        const { goal, steps } = this.calculateSuggestedGoal(profile);
+        document.getElementById('suggestedGoal').textContent = goal;
+        document.getElementById('goalExplanation').innerHTML = steps.map(step => `<li>${step}</li>`).join('');
+        document.getElementById('goalOverride').value = goal;
+        result.classList.remove('hidden');
+    }
+
+    acceptSuggestedGoal() {
+        const profile = this.readGoalProfile();
+        if (!this.isValidGoalProfile(profile)) {
+            this.showToast('⚠️', 'Please enter a weight of 30-250kg and an age of 10-110');
+            return;
+        }
+
+        const suggested = this.calculateSuggestedGoal(profile).goal;
+        const chosen = parseInt(document.getElementById('goalOverride').value);
+        if (!(chosen >= 500 && chosen <= 5000)) {
+            this.showToast('⚠️', 'Goal must be between 500 and 5000ml');
+            return;
+        }
+
+        // Keep following the profile unless the user picked their own number
+        this.state.settings.goalProfile = profile;
+        this.state.settings.goalMode = chosen === suggested ? 'profile' : 'manual';
+        if (chosen !== this.state.dailyGoal) {
+            this.setDailyGoal(chosen);
+        }
+
+        this.saveState();
+        this.loadSettingsIntoInputs();
+        this.updateDisplay();
+        this.closeModal(this.goalWizardModal);
+        this.showToast('🎯', `Daily goal set to ${chosen}ml`);
+    }
+
     // ==================== Settings ====================
 
     loadSettingsIntoInputs() {
         this.goalInput.value = this.state.dailyGoal;
+        this.goalModeHint.textContent = this.state.settings.goalMode === 'profile'
+            ? 'Calculated from your profile'
+            : 'Recommended: 2000-3000ml per day';
+        this.caffeineLimitInput.value = this.getNutrientLimits().caffeineLimit;
+        this.sugarLimitInput.value = this.getNutrientLimits().sugarLimit;
         this.soundToggle.checked = this.state.settings.soundEnabled;
         this.notificationToggle.checked = this.state.settings.notificationsEnabled;
         this.reminderInterval.value = this.state.settings.reminderInterval;
-        this.startTime.value = this.state.settings.startTime;
-        this.endTime.value = this.state.settings.endTime;
+        this.renderReminderSchedule();
+        this.renderBeveragePicker();
+        this.renderCustomBeverages();
+        this.renderMigrationBackup();
     }
 
     saveSettings() {
         const newGoal = parseInt(this.goalInput.value);
-        if (newGoal >= 500 && newGoal <= 5000) {
-            this.state.dailyGoal = newGoal;
+        if (newGoal >= 500 && newGoal <= 5000 && newGoal !== this.state.dailyGoal) {
+            this.setDailyGoal(newGoal);
+            this.state.settings.goalMode = 'manual';
+        }
+
+        const caffeineLimit = parseInt(this.caffeineLimitInput.value);
+        if (caffeineLimit >= 0 && caffeineLimit <= 1000) {
+            this.state.settings.caffeineLimit = caffeineLimit;
+        }
+        const sugarLimit = parseInt(this.sugarLimitInput.value);
+        if (sugarLimit >= 0 && sugarLimit <= 200) {
+            this.state.settings.sugarLimit = sugarLimit;
         }
 
         this.state.settings.soundEnabled = this.soundToggle.checked;
@@ -1121,16 +2926,419 @@ class HydraTrack {
         this.showToast('✅', 'Settings saved!');
     }
 
-    resetProgress() {
+    async resetProgress() {
         if (confirm('Are you sure you want to reset ALL progress? This cannot be undone!')) {
-            localStorage.removeItem('hydratrack_state');
+            localStorage.removeItem(this.getStorageKey('state'));
             if (this.isAuthenticated) {
-                this.syncManager.deleteFromCloud();
+                await this.syncManager.pause();
+                await this.syncManager.deleteFromCloud();
             }
             location.reload();
         }
     }
 
+    // ==================== Import & Export ====================
+
+    exportJSON() {
+        const backup = {
+            format: 'hydratrack-backup',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            state: this.state
+        };
+        this.downloadFile(`hydratrack-backup-${this.getDateKey(new Date())}.json`, JSON.stringify(backup, null, 2), 'application/json');
+        this.showToast('📦', 'Backup exported');
+    }
+
+    exportDrinksCSV() {
+        const rows = [['id', 'date', 'time', 'timestamp', 'beverage', 'amount_ml', 'hydration_ml', 'caffeine_mg', 'sugar_g']];
+
+        this.state.history.forEach(h => {
+            const time = new Date(h.timestamp);
+            const nutrients = this.getEntryNutrients(h);
+            rows.push([
+                h.id,
+                this.getDateKey(time),
+                time.toTimeString().slice(0, 8),
+                h.timestamp,
+                h.beverage || 'water',
+                h.amount,
+                this.getEntryHydration(h),
+                nutrients.caffeine,
+                nutrients.sugar
+            ]);
+        });
+
+        this.downloadFile(`hydratrack-drinks-${this.getDateKey(new Date())}.csv`, this.toCSV(rows), 'text/csv');
+        this.showToast('📄', `${rows.length - 1} drinks exported`);
+    }
+
+    exportSummaryCSV() {
+        const rows = [['date', 'drinks', 'amount_ml', 'hydration_ml', 'goal_ml', 'workout_bonus_ml', 'goal_met', 'caffeine_mg', 'sugar_g']];
+        const dates = [...new Set(this.state.history.map(h => h.date))]
+            .sort((a, b) => new Date(a) - new Date(b));
+
+        dates.forEach(dateStr => {
+            const entries = this.state.history.filter(h => h.date === dateStr);
+            const hydration = this.getIntakeForDateString(dateStr);
+            const target = this.getTargetForDate(dateStr);
+            const nutrients = this.getNutrientsForDate(dateStr);
+            rows.push([
+                this.getDateKey(dateStr),
+                entries.length,
+                entries.reduce((sum, h) => sum + h.amount, 0),
+                hydration,
+                this.getGoalForDate(dateStr),
+                this.getActivityBonusForDate(dateStr),
+                hydration >= target ? 'yes' : 'no',
+                nutrients.caffeine,
+                nutrients.sugar
+            ]);
+        });
+
+        this.downloadFile(`hydratrack-daily-${this.getDateKey(new Date())}.csv`, this.toCSV(rows), 'text/csv');
+        this.showToast('📅', `${rows.length - 1} days exported`);
+    }
+
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    toCSV(rows) {
+        return rows.map(row => row.map(value => {
+            const str = String(value ?? '');
+            return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+        }).join(',')).join('\n');
+    }
+
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    }
+
+    async handleImportFile(file) {
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            const isJSON = file.name.toLowerCase().endsWith('.json') || text.trim().startsWith('{');
+            this.pendingImport = isJSON ? this.parseBackupJSON(text) : this.parseDrinksCSV(text);
+            this.renderImportPreview();
+            this.openModal(this.importModal);
+        } catch (err) {
+            this.showToast('⚠️', err.message || 'Could not read that file');
+        } finally {
+            document.getElementById('importFile').value = '';
+        }
+    }
+
+    parseBackupJSON(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (err) {
+            throw new Error('That file is not valid JSON');
+        }
+
+        // Accept our backup format as well as a raw saved state
+        const source = parsed && parsed.format === 'hydratrack-backup' ? parsed.state : parsed;
+        if (!StateSchema.isPlainObject(source) || !Array.isArray(source.history)) {
+            throw new Error('That file is not a HydraTrack backup');
+        }
+        // Backups from older versions get the current shape; applyImport validates the rest
+        const state = StateSchema.migrate(source);
+
+        const { entries, skipped } = this.validateImportedEntries(state.history);
+        const intensities = Object.keys(this.activityIntensity);
+        const activities = Array.isArray(state.activities) ? state.activities.filter(a =>
+            StateSchema.isPlainObject(a) && typeof a.id === 'string' && a.id !== '' &&
+            this.activityTypes.some(t => t.id === a.type) && intensities.includes(a.intensity) &&
+            Number.isFinite(a.duration) && a.duration > 0 && a.duration <= 600 &&
+            typeof a.date === 'string' && a.bonus >= 0 && a.bonus <= 2000) : [];
+        const achievements = StateSchema.isPlainObject(state.achievements)
+            ? Object.fromEntries(Object.entries(state.achievements).filter(([id, a]) =>
+                this.achievementsDef.some(d => d.id === id) && StateSchema.isPlainObject(a)))
+            : {};
+        const dailyGoal = parseInt(state.dailyGoal);
+
+        return {
+            type: 'json',
+            exportedAt: parsed.exportedAt || null,
+            entries,
+            skipped,
+            activities,
+            achievements,
+            settings: StateSchema.isPlainObject(state.settings) ? state.settings : null,
+            dailyGoal: dailyGoal >= 500 && dailyGoal <= 5000 ? dailyGoal : null,
+            goalHistory: Array.isArray(state.goalHistory) ? state.goalHistory.filter(g =>
+                g && typeof g.from === 'string' && g.goal >= 500 && g.goal <= 5000) : []
+        };
+    }
+
+    parseDrinksCSV(text) {
+        const [header, ...rows] = this.parseCSV(text);
+        const columns = (header || []).map(c => c.trim().toLowerCase());
+
+        if (!columns.includes('amount_ml') || !(columns.includes('timestamp') || columns.includes('date'))) {
+            throw new Error(columns.includes('goal_met')
+                ? 'Daily summaries can\'t be imported. Please use the drinks CSV'
+                : 'CSV needs at least amount_ml and timestamp columns');
+        }
+
+        const raw = rows.map(values => {
+            const row = {};
+            columns.forEach((column, i) => { row[column] = (values[i] || '').trim(); });
+
+            const timestamp = row.timestamp || `${row.date}T${row.time || '12:00:00'}`;
+            return {
+                id: row.id || undefined,
+                timestamp: timestamp,
+                beverage: row.beverage || 'water',
+                amount: Number(row.amount_ml),
+                hydration: row.hydration_ml !== undefined && row.hydration_ml !== '' ? Number(row.hydration_ml) : undefined,
+                caffeine: row.caffeine_mg !== undefined && row.caffeine_mg !== '' ? Number(row.caffeine_mg) : undefined,
+                sugar: row.sugar_g !== undefined && row.sugar_g !== '' ? Number(row.sugar_g) : undefined
+            };
+        });
+
+        const { entries, skipped } = this.validateImportedEntries(raw);
+        return { type: 'csv', entries, skipped, activities: [], achievements: {}, settings: null, dailyGoal: null, goalHistory: [] };
+    }
+
+    /**
+     * Keep only well-formed drinks and normalise them into history entries.
+     */
+    validateImportedEntries(rawEntries) {
+        const entries = [];
+        let skipped = 0;
+        const now = Date.now();
+
+        rawEntries.forEach(raw => {
+            const time = new Date(raw && raw.timestamp);
+            const amount = Number(raw && raw.amount);
+
+            // Same per-drink limit as the custom amount input
+            if (!raw || isNaN(time.getTime()) || time.getTime() > now + 60000 ||
+                !(amount > 0 && amount <= 2000)) {
+                skipped++;
+                return;
+            }
+
+            const beverage = this.getBeverage(typeof raw.beverage === 'string' ? raw.beverage : 'water');
+            const hydration = Number.isFinite(raw.hydration) && raw.hydration >= 0
+                ? raw.hydration
+                : Math.round(amount * beverage.coefficient);
+            const nutrients = Number.isFinite(raw.caffeine) && Number.isFinite(raw.sugar)
+                ? { caffeine: raw.caffeine, sugar: raw.sugar }
+                : this.calculateNutrients(beverage, amount);
+
+            entries.push({
+                id: typeof raw.id === 'string' && raw.id ? raw.id : this.generateEntryId(),
+                amount: amount,
+                beverage: beverage.id,
+                hydration: hydration,
+                ...nutrients,
+                timestamp: time.toISOString(),
+                date: time.toDateString(),
+                deviceId: typeof raw.deviceId === 'string' && raw.deviceId ? raw.deviceId : this.deviceId,
+                xp: this.getXPForAmount(hydration)
+            });
+        });
+
+        return { entries, skipped };
+    }
+
+    getImportKey(entry) {
+        return `${entry.timestamp}|${entry.amount}`;
+    }
+
+    renderImportPreview() {
+        const data = this.pendingImport;
+        const existingIds = new Set(this.state.history.map(h => h.id));
+        const existingKeys = new Set(this.state.history.map(h => this.getImportKey(h)));
+        const newEntries = data.entries.filter(e => !existingIds.has(e.id) && !existingKeys.has(this.getImportKey(e)));
+        const times = data.entries.map(e => new Date(e.timestamp));
+        const first = times.length > 0 ? new Date(Math.min(...times)) : null;
+        const last = times.length > 0 ? new Date(Math.max(...times)) : null;
+
+        const rows = [
+            ['File type', data.type === 'json' ? 'Full backup (JSON)' : 'Drinks (CSV)'],
+            ['Exported', data.exportedAt ? new Date(data.exportedAt).toLocaleString() : '—'],
+            ['Drinks in file', data.entries.length],
+            ['Date range', first ? `${first.toLocaleDateString()} – ${last.toLocaleDateString()}` : '—'],
+            ['New drinks (merge)', newEntries.length],
+            ['Already on this device', data.entries.length - newEntries.length],
+            ['Drinks after replace', data.entries.length],
+            ['Drinks you have now', this.state.history.length]
+        ];
+        if (data.skipped > 0) {
+            rows.push(['Invalid rows skipped', data.skipped]);
+        }
+        if (data.dailyGoal && data.dailyGoal !== this.state.dailyGoal) {
+            rows.push(['Daily goal (replace)', `${this.state.dailyGoal}ml → ${data.dailyGoal}ml`]);
+        }
+        if (data.type === 'json') {
+            rows.push(['Achievements in file', Object.keys(data.achievements).length]);
+        }
+
+        document.getElementById('importPreview').innerHTML = rows.map(([label, value]) => `
+            <div class="import-row">
+                <span class="import-label">${label}</span>
+                <span class="import-value">${value}</span>
+            </div>
+        `).join('');
+        document.getElementById('importReplaceBtn').disabled = data.entries.length === 0;
+        document.getElementById('importMergeBtn').disabled = newEntries.length === 0 && data.type !== 'json';
+    }
+
+    applyImport(mode) {
+        if (!this.pendingImport) return;
+        if (mode === 'replace' && !confirm('Replace all your current data with this file? This cannot be undone!')) return;
+
+        // Records deleted here would be dropped again by sync, so they come
+        // back under new ids, as in restoreMigrationBackup
+        const revive = (records) => records.map(r => this.state.deletedEntries[r.id] ? { ...r, id: this.generateEntryId() } : r);
+        const data = {
+            ...this.pendingImport,
+            entries: revive(this.pendingImport.entries),
+            activities: revive(this.pendingImport.activities)
+        };
+
+        if (mode === 'replace') {
+            // Deleted on other devices too once synced
+            const keptIds = new Set([...data.entries, ...data.activities].map(r => r.id));
+            this.markDeleted([...this.state.history, ...(this.state.activities || [])]
+                .map(r => r.id)
+                .filter(id => !keptIds.has(id)));
+
+            this.state.history = data.entries;
+            this.state.activities = data.activities;
+            this.state.achievements = { ...data.achievements };
+            if (data.settings) {
+                this.state.settings = { ...this.state.settings, ...data.settings };
+            }
+            if (data.dailyGoal) {
+                this.state.dailyGoal = data.dailyGoal;
+            }
+            this.state.goalHistory = data.goalHistory;
+        } else {
+            const existingIds = new Set(this.state.history.map(h => h.id));
+            const existingKeys = new Set(this.state.history.map(h => this.getImportKey(h)));
+            const newEntries = data.entries.filter(e => !existingIds.has(e.id) && !existingKeys.has(this.getImportKey(e)));
+            const activityIds = new Set((this.state.activities || []).map(a => a.id));
+
+            this.state.history = [...this.state.history, ...newEntries];
+            this.state.activities = [...(this.state.activities || []), ...data.activities.filter(a => !activityIds.has(a.id))];
+
+            this.state.achievements = StateMerger.mergeAchievements(this.state.achievements, data.achievements);
+        }
+
+        // Out-of-range settings and malformed records get the same repair as on load
+        this.state = this.prepareState(this.state);
+        this.state.history.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        this.ensureGoalHistory();
+        this.recalculateFromHistory();
+
+        this.pendingImport = null;
+        this.saveState();
+        this.loadSettingsIntoInputs();
+        this.updateDisplay();
+        this.renderAchievements();
+        this.closeModal(this.importModal);
+        this.showToast('📥', mode === 'replace' ? 'Data replaced from file' : 'Data merged from file');
+    }
+
+    /**
+     * Rebuild stats, streaks, goal markers, XP and achievements from history,
+     * so imported data stays consistent with what the app would have counted.
+     */
+    recalculateFromHistory() {
+        const history = this.state.history;
+
+        this.statsEngine.invalidate();
+        this.refreshStats();
+        const { days, perfectDates } = this.statsEngine.getStats();
+        const dates = [...days.keys()].sort((a, b) => new Date(a) - new Date(b));
+
+        // Re-mark the drink that reached each day's goal
+        history.forEach(h => delete h.goalReached);
+        perfectDates.forEach(dateStr => {
+            const target = this.getTargetForDate(dateStr);
+            let total = 0;
+            const goalEntry = history
+                .filter(h => h.date === dateStr)
+                .find(h => (total += this.getEntryHydration(h)) >= target);
+            if (goalEntry) goalEntry.goalReached = true;
+        });
+
+        this.state.lastDrinkDate = dates.length > 0 ? dates[dates.length - 1] : null;
+
+        // Merges keep every unlock either side has, so drop the ones the
+        // merged history no longer supports; losing XP can undo level ones too
+        let revoked = true;
+        while (revoked) {
+            const unearned = Achievements.findUnearned(this.state);
+            unearned.forEach(a => delete this.state.achievements[a.id]);
+            revoked = unearned.length > 0;
+            this.refreshStats();
+        }
+
+        // Unlock what the data now qualifies for, without popups
+        let unlocked = true;
+        while (unlocked) {
+            unlocked = false;
+            this.achievementsDef.forEach(a => {
+                if (!this.state.achievements[a.id] && a.condition(this.state)) {
+                    this.state.achievements[a.id] = { unlockedAt: new Date().toISOString() };
+                    unlocked = true;
+                }
+            });
+            this.refreshStats();
+        }
+    }
+
     // ==================== Authentication ====================
 
     initializeAuth() {
@@ -1138,9 +3346,13 @@ class HydraTrack {
         this.authBtn = document.getElementById('authBtn');
 
         // Auth button in header
+        document.getElementById('syncNowBtn').addEventListener('click', () => this.syncNow());
+
         this.authBtn.addEventListener('click', () => {
             if (this.isAuthenticated) {
                 this.handleSignOut();
+            } else if (this.sessionExpired) {
+                this.openSignInAgain();
             } else {
                 this.openModal(this.authModal);
             }
@@ -1170,55 +3382,353 @@ class HydraTrack {
         document.getElementById('confirmCode').addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.handleConfirm();
         });
+        document.getElementById('resendCodeBtn').addEventListener('click', () => this.handleResendCode());
+
+        // Forgot password
+        document.getElementById('forgotPasswordLink').addEventListener('click', () => {
+            document.getElementById('forgotEmail').value = document.getElementById('signInEmail').value.trim();
+            this.showAuthForm('forgotForm', '🔑 Reset Password');
+        });
+        document.getElementById('backToSignInLink').addEventListener('click', () => this.switchAuthTab('signin'));
+        document.getElementById('sendResetCodeBtn').addEventListener('click', () => this.handleForgotPassword());
+        document.getElementById('forgotEmail').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.handleForgotPassword();
+        });
+        document.getElementById('resetPasswordBtn').addEventListener('click', () => this.handleResetPassword());
+        document.getElementById('resetPassword').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.handleResetPassword();
+        });
+        document.getElementById('resendResetCodeBtn').addEventListener('click', () => this.handleResendResetCode());
 
         // Modal overlay close
         this.authModal.querySelector('.modal-overlay').addEventListener('click', () => this.closeModal(this.authModal));
+
+        // Account settings
+        this.passwordModal = document.getElementById('passwordModal');
+        document.getElementById('changePasswordBtn').addEventListener('click', () => this.openPasswordModal());
+        document.getElementById('closePassword').addEventListener('click', () => this.closeModal(this.passwordModal));
+        this.passwordModal.querySelector('.modal-overlay').addEventListener('click', () => this.closeModal(this.passwordModal));
+        document.getElementById('savePasswordBtn').addEventListener('click', () => this.handleChangePassword());
+        document.getElementById('newPassword').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.handleChangePassword();
+        });
+        document.getElementById('deleteAccountBtn').addEventListener('click', () => this.handleDeleteAccount());
+
+        // Sign out
+        this.signOutModal = document.getElementById('signOutModal');
+        document.getElementById('closeSignOut').addEventListener('click', () => this.closeModal(this.signOutModal));
+        this.signOutModal.querySelector('.modal-overlay').addEventListener('click', () => this.closeModal(this.signOutModal));
+        document.getElementById('signOutKeepBtn').addEventListener('click', () => this.signOut(true));
+        document.getElementById('signOutRemoveBtn').addEventListener('click', () => this.signOut(false));
+        document.getElementById('signOutExpiredLink').addEventListener('click', () => this.handleSignOut());
+
+        // Guest progress vs. cloud progress
+        [['migrationMergeBtn', 'merge'], ['migrationCloudBtn', 'cloud'], ['migrationLocalBtn', 'local']].forEach(([id, choice]) => {
+            document.getElementById(id).addEventListener('click', () => {
+                if (this.resolveMigration) this.resolveMigration(choice);
+            });
+        });
     }
 
     async checkExistingSession() {
         try {
             const user = await this.authManager.getCurrentUser();
             if (user) {
-                this.isAuthenticated = true;
-                this.userEmail = user.email;
-                this.updateAuthUI();
-
-                // Load cloud data
-                const cloudState = await this.syncManager.loadFromCloud();
-                if (cloudState) {
-                    // Use cloud data if it has more progress
-                    if ((cloudState.totalXp || 0) > (this.state.totalXp || 0) ||
-                        (cloudState.stats?.totalWater || 0) > (this.state.stats?.totalWater || 0)) {
-                        this.state = { ...this.state, ...cloudState };
-                        this.saveStateLocal();
-                        this.updateDisplay();
-                        this.renderAchievements();
-                    }
+                this.startSession(user.email);
+
+                // Load cloud changes and upload what this device added meanwhile
+                const pulled = await this.pullFromCloud(this.loadGuestState());
+                this.saveState();
+                if (pulled) {
+                    this.showToast('☁️', 'Synced with cloud');
                 }
-                this.showToast('☁️', 'Synced with cloud');
             }
         } catch (err) {
-            console.error('Session check failed:', err);
+            if (err.code === AuthManager.SESSION_EXPIRED) {
+                this.handleSessionExpired(err.email);
+            } else {
+                console.error('Session check failed:', err);
+            }
+        }
+    }
+
+    saveStateLocal() {
+        localStorage.setItem(this.getStorageKey('state'), JSON.stringify(this.state));
+    }
+
+    /**
+     * Fetch cloud changes since the last pull and merge them in. A
+     * `guestState` is offered to the account afterwards. Returns false if
+     * the cloud couldn't be reached.
+     */
+    async pullFromCloud(guestState = null) {
+        try {
+            const changes = await this.syncManager.pull();
+            this.applyRemoteChanges(changes);
+            this.syncManager.setCursor(changes.cursor);
+            if (guestState) await this.adoptGuestProgress(guestState);
+            return true;
+        } catch (err) {
+            console.error('Cloud load failed:', err);
+            return false;
+        }
+    }
+
+    /**
+     * Merge drinks and the profile from the cloud into this device's state
+     * and recompute everything derived from the combined history. Returns
+     * the merged state.
+     */
+    applyRemoteChanges({ full = false, profile, entries, deleted }) {
+        // No profile means the cloud has none yet, so ours gets uploaded
+        const remoteProfile = profile ? JSON.stringify(StateMerger.getProfile(profile)) : null;
+        if (!full && entries.length === 0 && deleted.length === 0 && remoteProfile === this.syncedProfile) {
+            return this.state;
+        }
+
+        const deletedEntries = { ...(profile?.deletedEntries || {}) };
+        deleted.forEach(d => {
+            deletedEntries[d.id] = d.deletedAt;
+        });
+        const remote = { ...(profile || {}), history: entries, deletedEntries };
+        const merged = this.prepareState(StateMerger.merge(this.state, remote));
+        if (!merged) return this.state;
+
+        // Whatever the cloud sent is what it has; local differences get uploaded
+        if (full) this.syncedEntries = new Map();
+        entries.forEach(e => this.syncedEntries.set(e.id, this.getSyncVersion(e)));
+        deleted.forEach(d => this.syncedEntries.delete(d.id));
+        this.syncedProfile = remoteProfile;
+
+        this.state = merged;
+        this.recalculateFromHistory();
+        this.fieldSnapshot = StateMerger.getFieldValues(this.state);
+        this.saveStateLocal();
+
+        this.renderBeveragePicker();
+        this.updateDisplay();
+        this.renderAchievements();
+        return this.state;
+    }
+
+    // ==================== Account Migration ====================
+
+    /**
+     * Whether the account has drinks and the guest has drinks the account
+     * has never seen, so combining them needs the user's say.
+     */
+    hasSeparateProgress(guest) {
+        if (this.state.history.length === 0) return false;
+
+        const known = new Set([
+            ...this.state.history.map(h => h.id),
+            ...Object.keys(this.state.deletedEntries || {})
+        ]);
+        return guest.history.some(h => !known.has(h.id));
+    }
+
+    /**
+     * Bring progress tracked as a guest into the signed-in account. If both
+     * have their own, the user merges them or keeps one side; the side that
+     * is dropped is backed up so it can be restored later. Either way the
+     * guest copy is gone from this device afterwards.
+     */
+    async adoptGuestProgress(guest) {
+        const choice = this.hasSeparateProgress(guest)
+            ? await this.askMigrationChoice(this.summarizeProgress(guest), this.summarizeProgress(this.state))
+            : 'merge';
+
+        if (choice === 'merge') {
+            this.state = this.prepareState(StateMerger.merge(this.state, guest)) || this.state;
+        } else if (choice === 'cloud') {
+            this.saveMigrationBackup('device', guest);
+        } else {
+            this.saveMigrationBackup('cloud', this.state);
+            // Delete what only the account has and let the guest's settings win
+            const guestIds = new Set([...guest.history, ...(guest.activities || [])].map(r => r.id));
+            this.markDeleted([...this.state.history, ...(this.state.activities || [])]
+                .map(r => r.id)
+                .filter(id => !guestIds.has(id)));
+            this.state.history = guest.history;
+            this.state.activities = guest.activities || [];
+            this.state.achievements = { ...guest.achievements };
+            this.state.dailyGoal = guest.dailyGoal;
+            this.state.goalHistory = guest.goalHistory;
+            this.state.settings = { ...guest.settings };
+
+            const now = new Date().toISOString();
+            Object.keys(StateMerger.getFieldValues(this.state)).forEach(key => {
+                this.state.fieldTimestamps[key] = now;
+            });
+        }
+
+        localStorage.removeItem('hydratrack_state');
+        this.refreshView();
+        this.saveState();
+    }
+
+    /**
+     * Days tracked, total water, level and last activity of a state.
+     */
+    summarizeProgress(state) {
+        const stats = new StatsEngine(() => state).getStats();
+        const times = [...state.history, ...(state.activities || [])]
+            .map(r => new Date(r.timestamp).getTime())
+            .filter(t => !isNaN(t));
+
+        return {
+            days: stats.totalDays,
+            water: stats.totalWater,
+            level: Progression.getLevelForXP(Progression.getTotalXP(state, stats.perfectDays)),
+            lastActivity: times.length > 0 ? new Date(Math.max(...times)) : null
+        };
+    }
+
+    /**
+     * Compare two sides' progress and wait for 'merge', 'cloud' or 'local'.
+     * On sign-in they are the account's cloud copy and the guest progress on
+     * this device; after deleting the account, its progress and the guest's.
+     */
+    askMigrationChoice(local, cloud, reason = 'signIn') {
+        const texts = {
+            signIn: {
+                intro: 'This account already has progress in the cloud, and this device has progress from before you signed in.',
+                local: '📱 This device',
+                cloud: '☁️ Cloud',
+                keepLocal: '📱 Keep This Device Only',
+                keepCloud: '☁️ Keep Cloud Only'
+            },
+            deleteAccount: {
+                intro: 'This device also has guest progress from before you signed in. Choose what carries on now that the account is gone.',
+                local: '📱 Guest',
+                cloud: '👤 Account',
+                keepLocal: '📱 Keep Guest Only',
+                keepCloud: '👤 Keep Account Only'
+            }
+        }[reason];
+        document.getElementById('migrationIntro').textContent = texts.intro;
+        document.getElementById('migrationLocalBtn').textContent = texts.keepLocal;
+        document.getElementById('migrationCloudBtn').textContent = texts.keepCloud;
+
+        const lastActivity = (date) => date ? date.toLocaleDateString() : '—';
+        const rows = [
+            ['Days tracked', local.days, cloud.days],
+            ['Total water', this.formatWaterAmount(local.water), this.formatWaterAmount(cloud.water)],
+            ['Level', local.level, cloud.level],
+            ['Last activity', lastActivity(local.lastActivity), lastActivity(cloud.lastActivity)]
+        ];
+
+        document.getElementById('migrationCompare').innerHTML = `
+            <span></span>
+            <span class="migration-side">${texts.local}</span>
+            <span class="migration-side">${texts.cloud}</span>
+            ${rows.map(([label, here, there]) => `
+                <span class="import-label">${label}</span>
+                <span class="import-value">${here}</span>
+                <span class="import-value">${there}</span>
+            `).join('')}
+        `;
+        this.openModal(this.migrationModal);
+
+        return new Promise((resolve) => {
+            this.resolveMigration = (choice) => {
+                this.resolveMigration = null;
+                this.closeModal(this.migrationModal);
+                resolve(choice);
+            };
+        });
+    }
+
+    saveMigrationBackup(source, state, email = this.userEmail) {
+        localStorage.setItem(this.getStorageKey('migration_backup'), JSON.stringify({
+            source,
+            email,
+            createdAt: new Date().toISOString(),
+            history: state.history,
+            activities: state.activities || [],
+            achievements: state.achievements || {}
+        }));
+    }
+
+    getMigrationBackup() {
+        try {
+            const backup = JSON.parse(localStorage.getItem(this.getStorageKey('migration_backup')));
+            return backup && Array.isArray(backup.history) ? backup : null;
+        } catch (err) {
+            return null;
         }
     }
 
-    saveStateLocal() {
-        localStorage.setItem('hydratrack_state', JSON.stringify(this.state));
+    renderMigrationBackup() {
+        const backup = this.getMigrationBackup();
+        document.getElementById('migrationBackup').classList.toggle('hidden', !backup);
+        if (!backup) return;
+
+        const from = {
+            cloud: `the cloud copy of ${backup.email}`,
+            account: `the deleted account ${backup.email}`
+        }[backup.source] || 'this device';
+        document.getElementById('migrationBackupText').textContent =
+            `Backup of ${from} from ${new Date(backup.createdAt).toLocaleDateString()}: ${backup.history.length} drinks`;
+    }
+
+    /**
+     * Add the drinks, workouts and achievements of the backup back in.
+     * Records deleted when the backup was made come back under new ids,
+     * since their deletion has been synced already.
+     */
+    restoreMigrationBackup() {
+        const backup = this.getMigrationBackup();
+        if (!backup) return;
+        if (!confirm(`Add the ${backup.history.length} drinks from this backup back to your progress?`)) return;
+
+        const restore = (records, current) => {
+            const ids = new Set(current.map(r => r.id));
+            return records
+                .filter(r => !ids.has(r.id))
+                .map(r => this.state.deletedEntries[r.id] ? { ...r, id: this.generateEntryId() } : r);
+        };
+        const drinks = restore(backup.history, this.state.history);
+        this.state.history = [...this.state.history, ...drinks]
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        this.state.activities = [...(this.state.activities || []), ...restore(backup.activities, this.state.activities || [])];
+        this.state.achievements = StateMerger.mergeAchievements(this.state.achievements, backup.achievements);
+
+        this.recalculateFromHistory();
+        this.saveState();
+        this.updateDisplay();
+        this.renderAchievements();
+        localStorage.removeItem(this.getStorageKey('migration_backup'));
+        this.renderMigrationBackup();
+        this.showToast('♻️', `Restored ${drinks.length} drinks from the backup`);
+    }
+
+    discardMigrationBackup() {
+        if (!confirm('Delete this backup? It cannot be restored afterwards.')) return;
+        localStorage.removeItem(this.getStorageKey('migration_backup'));
+        this.renderMigrationBackup();
     }
 
     switchAuthTab(tab) {
-        const tabs = document.querySelectorAll('.auth-tab');
-        tabs.forEach(t => t.classList.toggle('active', t.dataset.tab === tab));
+        this.showAuthForm(
+            tab === 'signin' ? 'signInForm' : 'signUpForm',
+            tab === 'signin' ? '🔐 Sign In' : '✨ Sign Up',
+            tab
+        );
+    }
 
-        document.getElementById('signInForm').classList.toggle('hidden', tab !== 'signin');
-        document.getElementById('signUpForm').classList.toggle('hidden', tab !== 'signup');
-        document.getElementById('confirmForm').classList.add('hidden');
+    /**
+     * Show one form of the auth modal. Forms that don't belong to a tab
+     * (verify email, reset password) leave both tabs unselected.
+     */
+    showAuthForm(formId, title, tab = null) {
+        document.querySelectorAll('.auth-tab').forEach(t => t.classList.toggle('active', t.dataset.tab === tab));
+        this.authModal.querySelectorAll('.auth-form').forEach(f => f.classList.toggle('hidden', f.id !== formId));
 
         // Clear errors
-        document.querySelectorAll('.auth-error').forEach(e => e.classList.add('hidden'));
+        this.authModal.querySelectorAll('.auth-error').forEach(e => e.classList.add('hidden'));
 
-        // Update title
-        document.getElementById('authModalTitle').textContent = tab === 'signin' ? '🔐 Sign In' : '✨ Sign Up';
+        document.getElementById('authModalTitle').textContent = title;
     }
 
     showAuthError(formId, message) {
@@ -1240,12 +3750,7 @@ class HydraTrack {
             document.getElementById('signUpBtn').textContent = '⏳ Creating...';
             await this.authManager.signUp(email, password);
 
-            // Show confirm form
-            document.getElementById('signInForm').classList.add('hidden');
-            document.getElementById('signUpForm').classList.add('hidden');
-            document.getElementById('confirmForm').classList.remove('hidden');
-            document.getElementById('authModalTitle').textContent = '📬 Verify Email';
-            document.querySelectorAll('.auth-tab').forEach(t => t.classList.remove('active'));
+            this.showAuthForm('confirmForm', '📬 Verify Email');
         } catch (err) {
             this.showAuthError('signUpError', err.message || 'Sign up failed');
         } finally {
@@ -1275,6 +3780,82 @@ class HydraTrack {
         }
     }
 
+    async handleResendCode() {
+        const email = this.authManager.pendingEmail;
+        const btn = document.getElementById('resendCodeBtn');
+
+        try {
+            btn.disabled = true;
+            await this.authManager.resendConfirmationCode(email);
+            this.showToast('📬', `New code sent to ${this.escapeHTML(email)}`);
+        } catch (err) {
+            this.showAuthError('confirmError', err.message || 'Could not send a new code');
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    async handleForgotPassword() {
+        const email = document.getElementById('forgotEmail').value.trim();
+
+        if (!email) {
+            this.showAuthError('forgotError', 'Please enter your email');
+            return;
+        }
+
+        try {
+            document.getElementById('sendResetCodeBtn').textContent = '⏳ Sending...';
+            await this.authManager.forgotPassword(email);
+            this.resetEmail = email;
+
+            document.getElementById('resetInfo').textContent = `📬 We sent a reset code to ${email}`;
+            document.getElementById('resetCode').value = '';
+            document.getElementById('resetPassword').value = '';
+            this.showAuthForm('resetForm', '🔑 Reset Password');
+        } catch (err) {
+            this.showAuthError('forgotError', err.message || 'Could not send a reset code');
+        } finally {
+            document.getElementById('sendResetCodeBtn').textContent = '📨 Send Reset Code';
+        }
+    }
+
+    async handleResendResetCode() {
+        const btn = document.getElementById('resendResetCodeBtn');
+
+        try {
+            btn.disabled = true;
+            await this.authManager.forgotPassword(this.resetEmail);
+            this.showToast('📬', `New code sent to ${this.escapeHTML(this.resetEmail)}`);
+        } catch (err) {
+            this.showAuthError('resetError', err.message || 'Could not send a new code');
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    async handleResetPassword() {
+        const code = document.getElementById('resetCode').value.trim();
+        const password = document.getElementById('resetPassword').value;
+
+        if (!code || !password) {
+            this.showAuthError('resetError', 'Please fill in all fields');
+            return;
+        }
+
+        try {
+            document.getElementById('resetPasswordBtn').textContent = '⏳ Saving...';
+            await this.authManager.confirmPassword(this.resetEmail, code, password);
+            this.showToast('✅', 'Password changed! Please sign in.');
+            this.switchAuthTab('signin');
+            document.getElementById('signInEmail').value = this.resetEmail;
+            document.getElementById('signInPassword').value = '';
+        } catch (err) {
+            this.showAuthError('resetError', err.message || 'Could not reset your password');
+        } finally {
+            document.getElementById('resetPasswordBtn').textContent = '🔑 Set New Password';
+        }
+    }
+
     async handleSignIn() {
         const email = document.getElementById('signInEmail').value.trim();
         const password = document.getElementById('signInPassword').value;
@@ -1288,27 +3869,29 @@ class HydraTrack {
             document.getElementById('signInBtn').textContent = '⏳ Signing in...';
             const user = await this.authManager.signIn(email, password);
 
-            this.isAuthenticated = true;
-            this.userEmail = user.email;
-            this.updateAuthUI();
+            // Each account has its own data; a guest's is offered after the pull
+            if (this.storageOwner !== this.normalizeOwner(user.email)) {
+                this.switchStorage(user.email);
+                this.refreshView();
+            }
+            this.startSession(user.email);
             this.closeModal(this.authModal);
 
-            // Load cloud data and merge
-            const cloudState = await this.syncManager.loadFromCloud();
-            if (cloudState) {
-                if ((cloudState.totalXp || 0) > (this.state.totalXp || 0) ||
-                    (cloudState.stats?.totalWater || 0) > (this.state.stats?.totalWater || 0)) {
-                    this.state = { ...this.state, ...cloudState };
-                    this.updateDisplay();
-                    this.renderAchievements();
-                }
-            }
-            // Upload current state to cloud
-            await this.syncManager.saveToCloud(this.state);
-            this.saveStateLocal();
+            // Pull everything, then upload what only this device has
+            this.syncManager.setCursor(null);
+            await this.pullFromCloud(this.loadGuestState());
+            this.saveState();
+            await this.syncManager.flush();
 
             this.showToast('🎉', `Welcome, ${email.split('@')[0]}!`);
         } catch (err) {
+            if (err.code === 'UserNotConfirmedException') {
+                // Verify first; the code may need to be sent again
+                this.authManager.pendingEmail = email;
+                this.showAuthForm('confirmForm', '📬 Verify Email');
+                this.showAuthError('confirmError', 'Please verify your email first. Enter the code we sent you or request a new one.');
+                return;
+            }
             this.showAuthError('signInError', err.message || 'Sign in failed');
         } finally {
             document.getElementById('signInBtn').textContent = '🚀 Sign In';
@@ -1316,27 +3899,246 @@ class HydraTrack {
     }
 
     handleSignOut() {
-        if (confirm('Sign out? Your data is saved to the cloud.')) {
-            this.authManager.signOut();
-            this.isAuthenticated = false;
-            this.userEmail = null;
-            this.updateAuthUI();
-            this.showToast('👋', 'Signed out');
+        const pending = this.syncManager.outbox.ops.length;
+        const warning = document.getElementById('signOutPending');
+        warning.textContent = `${pending} ${pending === 1 ? 'change has' : 'changes have'} not synced yet. Keep a local copy to upload ${pending === 1 ? 'it' : 'them'} the next time you sign in.`;
+        warning.classList.toggle('hidden', pending === 0);
+        this.openModal(this.signOutModal);
+    }
+
+    /**
+     * Sign out and show the guest's data. A kept copy is only loaded again
+     * when the same account signs in.
+     */
+    signOut(keepLocalCopy) {
+        if (!keepLocalCopy && this.syncManager.hasPendingChanges() &&
+            !confirm('Changes that have not synced yet will be lost. Remove your progress from this device anyway?')) {
+            return;
+        }
+
+        this.endSession();
+        if (!keepLocalCopy) this.removeLocalData();
+        this.switchStorage(null);
+        this.refreshView();
+
+        this.closeModal(this.signOutModal);
+        this.closeModal(this.authModal);
+        this.showToast('👋', keepLocalCopy ? 'Signed out. Your progress stays on this device' : 'Signed out and removed your progress from this device');
+    }
+
+    startSession(email) {
+        this.isAuthenticated = true;
+        this.userEmail = email;
+        if (this.sessionExpired) {
+            this.sessionExpired = false;
+            this.syncManager.setStatus(this.syncManager.hasPendingChanges() ? 'pending' : 'synced');
+        }
+        this.updateAuthUI();
+    }
+
+    endSession() {
+        this.authManager.signOut();
+        this.isAuthenticated = false;
+        this.sessionExpired = false;
+        this.userEmail = null;
+        this.updateAuthUI();
+    }
+
+    /**
+     * The refresh token expired or was revoked. Syncing stops, but the
+     * outbox and local state stay as they are: signing in again pulls
+     * everything and uploads whatever only this device has.
+     */
+    handleSessionExpired(email = this.userEmail) {
+        if (this.sessionExpired || !email) return;
+
+        this.isAuthenticated = false;
+        this.sessionExpired = true;
+        this.userEmail = email;
+        this.syncManager.setStatus('expired');
+        this.updateAuthUI();
+
+        this.showToast('🔒', 'Your session has expired. Sign in again to keep syncing', {
+            label: 'Sign In',
+            onClick: () => this.openSignInAgain()
+        });
+    }
+
+    openSignInAgain() {
+        this.switchAuthTab('signin');
+        document.getElementById('signInEmail').value = this.userEmail;
+        document.getElementById('signInPassword').value = '';
+        this.openModal(this.authModal);
+    }
+
+    openPasswordModal() {
+        document.getElementById('currentPassword').value = '';
+        document.getElementById('newPassword').value = '';
+        document.getElementById('changePasswordError').classList.add('hidden');
+        this.openModal(this.passwordModal);
+    }
+
+    async handleChangePassword() {
+        const currentPassword = document.getElementById('currentPassword').value;
+        const newPassword = document.getElementById('newPassword').value;
+
+        if (!currentPassword || !newPassword) {
+            this.showAuthError('changePasswordError', 'Please fill in all fields');
+            return;
+        }
+
+        const btn = document.getElementById('savePasswordBtn');
+        try {
+            btn.textContent = '⏳ Saving...';
+            await this.authManager.changePassword(currentPassword, newPassword);
+            this.closeModal(this.passwordModal);
+            this.showToast('🔑', 'Password changed');
+        } catch (err) {
+            const message = err.code === 'NotAuthorizedException' ? 'Current password is incorrect' : err.message;
+            this.showAuthError('changePasswordError', message || 'Could not change your password');
+        } finally {
+            btn.textContent = '💾 Change Password';
+        }
+    }
+
+    /**
+     * Delete the cloud data, then the account itself. Progress on this
+     * device is kept and the app carries on as a guest.
+     */
+    async handleDeleteAccount() {
+        const answer = prompt(`This permanently deletes your account (${this.userEmail}) and everything saved in the cloud. Progress on this device is kept.\n\nType DELETE to confirm.`);
+        if (answer === null) return;
+        if (answer.trim().toUpperCase() !== 'DELETE') {
+            this.showToast('ℹ️', 'Account not deleted');
+            return;
         }
+
+        const btn = document.getElementById('deleteAccountBtn');
+        btn.disabled = true;
+        btn.textContent = '⏳ Deleting...';
+        try {
+            // The data goes first: without the user there's no token to delete it with
+            await this.syncManager.pause();
+            if (!await this.syncManager.deleteFromCloud()) {
+                this.showToast('⚠️', 'Could not delete your cloud data. Please try again');
+                return;
+            }
+            await this.authManager.deleteUser();
+
+            const kept = this.state;
+            const email = this.userEmail;
+            this.endSession();
+            this.removeLocalData();
+            this.switchStorage(null);
+            await this.keepDeletedAccountProgress(kept, email);
+
+            this.closeModal(this.settingsModal);
+            this.showToast('👋', 'Your account was deleted');
+        } catch (err) {
+            console.error('Account deletion failed:', err);
+            this.showToast('⚠️', 'Your cloud data was deleted, but the account could not be removed. Please try again');
+        } finally {
+            this.syncManager.resume();
+            btn.disabled = false;
+            btn.textContent = '🗑️ Delete Account';
+        }
+    }
+
+    /**
+     * Progress on this device carries on as a guest's. If the guest slot has
+     * progress of its own, the user merges them or keeps one side, and the
+     * side that is dropped is backed up as after sign-in.
+     */
+    async keepDeletedAccountProgress(account, email) {
+        const guest = this.state;
+        const choice = guest.history.length > 0
+            ? await this.askMigrationChoice(this.summarizeProgress(guest), this.summarizeProgress(account), 'deleteAccount')
+            : 'cloud';
+
+        if (choice === 'merge') {
+            this.state = this.prepareState(StateMerger.merge(guest, account)) || guest;
+        } else if (choice === 'cloud') {
+            if (guest.history.length > 0) this.saveMigrationBackup('device', guest, null);
+            this.state = account;
+        } else {
+            this.saveMigrationBackup('account', account, email);
+        }
+
+        this.refreshView();
+        this.saveState();
+    }
+
+    getSyncStatusInfo() {
+        const outbox = this.syncManager.outbox;
+        const lastError = outbox.lastError || (outbox.rejected && outbox.rejected.message);
+        const retryAt = outbox.nextAttemptAt
+            ? new Date(outbox.nextAttemptAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+            : null;
+
+        return {
+            synced: { icon: '☁️', text: 'All changes synced' },
+            pending: { icon: '⏳', text: 'Changes waiting to sync' },
+            error: { icon: '⚠️', text: `Sync failed${lastError ? ` (${lastError})` : ''}${retryAt ? `, retrying at ${retryAt}` : ''}` },
+            offline: { icon: '📴', text: 'Offline. Changes will sync when you reconnect' },
+            expired: { icon: '🔒', text: 'Session expired. Sign in again to sync your changes' }
+        }[this.syncManager.status];
     }
 
     updateAuthUI() {
         const btn = document.getElementById('authBtn');
+        const syncSettings = document.getElementById('syncSettings');
+        btn.classList.remove('sync-synced', 'sync-pending', 'sync-error', 'sync-offline', 'sync-expired');
+        document.getElementById('sessionExpiredInfo').classList.toggle('hidden', !this.sessionExpired);
+        document.getElementById('signOutExpiredLink').classList.toggle('hidden', !this.sessionExpired);
+
         if (this.isAuthenticated) {
             const name = this.userEmail.split('@')[0];
             const displayName = name.length > 10 ? name.substring(0, 10) + '…' : name;
-            btn.textContent = `☁️ ${displayName}`;
-            btn.classList.add('signed-in');
-            btn.title = `Signed in as ${this.userEmail}. Click to sign out.`;
+            const sync = this.getSyncStatusInfo();
+            btn.textContent = `${sync.icon} ${displayName}`;
+            btn.classList.add('signed-in', `sync-${this.syncManager.status}`);
+            btn.title = `Signed in as ${this.userEmail}. ${sync.text}. Click to sign out.`;
+            syncSettings.classList.remove('hidden');
+            document.getElementById('syncStatusText').textContent = sync.text;
+            document.getElementById('accountEmail').textContent = `Signed in as ${this.userEmail}`;
+        } else if (this.sessionExpired) {
+            btn.textContent = '🔒 Sign In Again';
+            btn.classList.remove('signed-in');
+            btn.classList.add('sync-expired');
+            btn.title = `Your session as ${this.userEmail} has expired. Sign in again to sync your changes.`;
+            syncSettings.classList.add('hidden');
         } else {
             btn.textContent = '👤 Sign In';
             btn.classList.remove('signed-in');
             btn.title = 'Sign In';
+            syncSettings.classList.add('hidden');
+        }
+    }
+
+    async syncNow() {
+        if (!this.isAuthenticated) return;
+
+        const btn = document.getElementById('syncNowBtn');
+        btn.disabled = true;
+        btn.textContent = '⏳ Syncing...';
+        try {
+            // Pull first so changes from other devices show up here too
+            const pulled = await this.pullFromCloud();
+            this.saveState();
+            await this.syncManager.flush();
+
+            if (this.sessionExpired) {
+                // handleSessionExpired has already told the user
+            } else if (!pulled) {
+                this.showToast('⚠️', 'Could not reach the cloud. Try again later');
+            } else if (this.syncManager.status === 'synced') {
+                this.showToast('☁️', 'Synced with cloud');
+            } else {
+                this.showToast('⚠️', this.getSyncStatusInfo().text);
+            }
+        } finally {
+            btn.disabled = false;
+            btn.textContent = '🔄 Sync Now';
         }
     }
 
@@ -1362,8 +4164,6 @@ class HydraTrack {
 
         this.state.settings.notificationsEnabled = true;
         this.state.settings.reminderInterval = parseInt(this.reminderInterval.value);
-        this.state.settings.startTime = this.startTime.value;
-        this.state.settings.endTime = this.endTime.value;
 
         this.startReminder();
         this.saveState();
@@ -1388,13 +4188,9 @@ class HydraTrack {
     startReminder() {
         this.stopReminder();
 
-        const intervalMs = this.state.settings.reminderInterval * 60 * 1000;
-
-        this.reminderTimer = setInterval(() => {
-            if (this.isWithinActiveHours()) {
-                this.sendReminder();
-            }
-        }, intervalMs);
+        // The schedule decides; this only checks it while the app is open.
+        // With no tab open only periodic background sync wakes the worker.
+        this.reminderTimer = setInterval(() => this.checkReminders(), 60 * 1000);
 
         // Show reminder active indicator
         document.getElementById('reminderActive').classList.remove('hidden');
@@ -1405,32 +4201,135 @@ class HydraTrack {
             clearInterval(this.reminderTimer);
             this.reminderTimer = null;
         }
+        this.syncReminderSchedule();
         document.getElementById('reminderActive').classList.add('hidden');
     }
 
-    isWithinActiveHours() {
-        const now = new Date();
-        const currentTime = now.getHours() * 60 + now.getMinutes();
+    // No service worker (unsupported, or registration failed): the page keeps the schedule
+    hasReminderWorker() {
+        return 'serviceWorker' in navigator && !this.serviceWorkerFailed;
+    }
+
+    getReminderSchedule() {
+        const { notificationsEnabled, reminderInterval, reminderDays, quietPeriods, reminderPause } = this.state.settings;
+        const lastDrinkAt = this.state.history.reduce((latest, entry) => Math.max(latest, new Date(entry.timestamp).getTime()), 0);
+        return {
+            enabled: notificationsEnabled,
+            interval: reminderInterval,
+            reminderDays,
+            quietPeriods,
+            goal: this.getTargetForDate(new Date()),
+            intake: this.state.currentIntake,
+            intakeDate: new Date().toDateString(),
+            lastDrinkAt: lastDrinkAt || null,
+            pausedUntil: reminderPause ? new Date(reminderPause.until).getTime() : null,
+            usualAmount: Hydration.getUsualAmount(this.state.history)
+        };
+    }
+
+    /**
+     * Hand the reminder settings and today's intake to whoever keeps the
+     * schedule. Called on every save, so only changes are sent.
+     */
+    syncReminderSchedule() {
+        const schedule = this.getReminderSchedule();
+        const serialized = JSON.stringify(schedule);
+        if (serialized === this.sentReminderSchedule) return;
+        this.sentReminderSchedule = serialized;
+
+        if (this.hasReminderWorker()) {
+            this.postToServiceWorker({ type: 'SCHEDULE_REMINDERS', schedule });
+            // Intake changes with every drink, the wake-up interval rarely
+            const periodicInterval = schedule.enabled ? schedule.interval : null;
+            if (periodicInterval !== this.periodicReminderInterval) {
+                this.periodicReminderInterval = periodicInterval;
+                this.updatePeriodicReminders(schedule);
+            }
+        } else {
+            this.reminderSchedule = Reminders.updateSchedule(this.reminderSchedule, schedule);
+        }
+    }
+
+    checkReminders() {
+        if (this.hasReminderWorker()) {
+            this.postToServiceWorker({ type: 'CHECK_REMINDERS' });
+            return;
+        }
+
+        const { show, schedule } = Reminders.advance(this.reminderSchedule);
+        this.reminderSchedule = schedule;
+        if (show) {
+            this.sendReminder();
+        }
+    }
+
+    /**
+     * Installed apps in Chromium can ask to be woken up now and then with no
+     * tab open. The browser picks the actual times, so this is best effort.
+     */
+    async updatePeriodicReminders(schedule) {
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!('periodicSync' in registration)) return;
+
+            if (schedule.enabled) {
+                await registration.periodicSync.register('hydration-reminder', {
+                    minInterval: schedule.interval * 60 * 1000
+                });
+            } else {
+                await registration.periodicSync.unregister('hydration-reminder');
+            }
+        } catch (err) {
+            // Not allowed outside installed apps; the open tab still checks
+        } finally {
+            this.updateBackgroundReminderNote();
+        }
+    }
+
+    /**
+     * Tell the user whether reminders can come with HydraTrack closed:
+     * only when periodic background sync was granted, and even then at
+     * times the browser picks.
+     */
+    async updateBackgroundReminderNote() {
+        const note = document.getElementById('reminderBackgroundNote');
+        const enabled = this.state.settings.notificationsEnabled;
+        let background = false;
+
+        if (enabled && this.hasReminderWorker()) {
+            try {
+                const registration = await navigator.serviceWorker.ready;
+                background = 'periodicSync' in registration &&
+                    (await registration.periodicSync.getTags()).includes('hydration-reminder');
+            } catch (err) {
+                background = false;
+            }
+        }
 
-        const [startHour, startMin] = this.state.settings.startTime.split(':').map(Number);
-        const [endHour, endMin] = this.state.settings.endTime.split(':').map(Number);
+        note.textContent = background
+            ? 'With HydraTrack closed, your browser decides how often it checks, so reminders can come late.'
+            : 'Reminders only come while HydraTrack is open in a tab. Installed as an app in Chrome or Edge, it can also check now and then when closed.';
+        note.classList.toggle('hidden', !enabled);
+    }
 
-        const startMinutes = startHour * 60 + startMin;
-        const endMinutes = endHour * 60 + endMin;
+    // In-app part of a reminder; the system notification comes from the worker
+    showReminder(message) {
+        this.showReminderNotification(message);
 
-        return currentTime >= startMinutes && currentTime <= endMinutes;
+        if (this.state.settings.soundEnabled) {
+            this.playReminderSound();
+        }
     }
 
+    // Fallback without a service worker, while the tab is open
     sendReminder() {
-        // In-app notification
-        this.showReminderNotification();
+        const message = Reminders.getMessage(this.reminderSchedule);
+        this.showReminder(message);
 
-        // Browser notification
         if ('Notification' in window && Notification.permission === 'granted') {
             const notification = new Notification('💧 Time to Hydrate!', {
-                body: `You've had ${this.state.currentIntake}ml today. Keep going!`,
-                icon: '💧',
-                badge: '💧',
+                body: message,
+                icon: 'icons/icon-192.png',
                 tag: 'hydration-reminder',
                 requireInteraction: false
             });
@@ -1442,34 +4341,218 @@ class HydraTrack {
 
             setTimeout(() => notification.close(), 10000);
         }
-
-        // Play reminder sound
-        if (this.state.settings.soundEnabled) {
-            this.playReminderSound();
-        }
     }
 
-    showReminderNotification() {
+    // Stays until answered; the next reminder just replaces the message
+    showReminderNotification(message) {
+        this.reminderMessage.textContent = message;
+        document.getElementById('reminderQuickAdd').textContent = `+${Hydration.getUsualAmount(this.state.history)}ml`;
+        document.getElementById('reminderPauseOptions').classList.add('hidden');
         this.reminderNotification.classList.remove('hidden');
         this.setMascotMessage('reminder');
-
-        setTimeout(() => {
-            this.hideReminderNotification();
-        }, 30000);
     }
 
     hideReminderNotification() {
         this.reminderNotification.classList.add('hidden');
     }
 
+    // ==================== Reminder Schedule ====================
+
+    renderReminderSchedule() {
+        const { reminderDays, quietPeriods } = this.state.settings;
+        const timeInputs = (data, range) => `
+            <input type="time" class="form-control" ${data} data-window-edge="start" value="${range.start}">
+            <span class="time-separator">to</span>
+            <input type="time" class="form-control" ${data} data-window-edge="end" value="${range.end}">
+            ${range.end <= range.start ? '<span class="overnight-tag" title="Runs past midnight">🌙</span>' : ''}
+        `;
+
+        this.reminderDaysList.innerHTML = WEEKDAY_ORDER.map(day => `
+            <div class="reminder-day">
+                <span class="reminder-day-name">${WEEKDAY_NAMES[day]}</span>
+                <div class="reminder-day-windows">
+                    ${reminderDays[day].length === 0 ? '<span class="form-hint">No reminders</span>' : ''}
+                    ${reminderDays[day].map((range, i) => `
+                        <div class="time-range reminder-window">
+                            ${timeInputs(`data-day="${day}" data-window="${i}"`, range)}
+                            <button class="history-entry-btn" data-day="${day}" data-remove-window="${i}" title="Remove window">✕</button>
+                        </div>
+                    `).join('')}
+                </div>
+                <button class="history-entry-btn" data-add-window="${day}" title="Add a window">➕</button>
+            </div>
+        `).join('');
+
+        if (quietPeriods.length === 0) {
+            this.quietPeriodsList.innerHTML = '<p class="form-hint">No quiet periods yet</p>';
+            return;
+        }
+
+        this.quietPeriodsList.innerHTML = quietPeriods.map((period, i) => `
+            <div class="quiet-period">
+                <div class="quiet-period-header">
+                    <input type="text" class="form-control" data-quiet="${i}" data-quiet-field="label"
+                        value="${this.escapeHTML(period.label || '')}" placeholder="e.g. Lunch" maxlength="50">
+                    <button class="history-entry-btn" data-remove-quiet="${i}" title="Remove quiet period">🗑️</button>
+                </div>
+                <div class="time-range">
+                    <input type="time" class="form-control" data-quiet="${i}" data-quiet-field="start" value="${period.start}">
+                    <span class="time-separator">to</span>
+                    <input type="time" class="form-control" data-quiet="${i}" data-quiet-field="end" value="${period.end}">
+                    ${period.end <= period.start ? '<span class="overnight-tag" title="Runs past midnight">🌙</span>' : ''}
+                </div>
+                <div class="quiet-period-days">
+                    ${WEEKDAY_ORDER.map(day => `
+                        <button class="day-chip ${period.days.includes(day) ? 'active' : ''}" data-quiet="${i}" data-quiet-day="${day}">${WEEKDAY_NAMES[day].charAt(0)}</button>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Saving hands the new schedule to the service worker
+    saveReminderSchedule() {
+        this.saveState();
+        this.renderReminderSchedule();
+    }
+
+    updateReminderWindow(day, index, edge, value) {
+        const range = this.state.settings.reminderDays[day][index];
+        if (!range || !StateSchema.isTime(value)) {
+            this.renderReminderSchedule();
+            return;
+        }
+        range[edge] = value;
+        this.saveReminderSchedule();
+    }
+
+    addReminderWindow(day) {
+        const windows = this.state.settings.reminderDays[day];
+        windows.push(windows.length > 0 ? { start: '18:00', end: '22:00' } : { start: '08:00', end: '22:00' });
+        this.saveReminderSchedule();
+    }
+
+    removeReminderWindow(day, index) {
+        this.state.settings.reminderDays[day].splice(index, 1);
+        this.saveReminderSchedule();
+    }
+
+    copyReminderDays() {
+        const monday = this.state.settings.reminderDays[1];
+        this.state.settings.reminderDays = this.state.settings.reminderDays.map(() => monday.map(range => ({ ...range })));
+        this.saveReminderSchedule();
+        this.showToast('🗓️', "Monday's hours now apply every day");
+    }
+
+    addQuietPeriod() {
+        this.state.settings.quietPeriods.push({ label: 'Lunch', start: '12:00', end: '13:00', days: [1, 2, 3, 4, 5] });
+        this.saveReminderSchedule();
+    }
+
+    updateQuietPeriod(index, field, value) {
+        const period = this.state.settings.quietPeriods[index];
+        if (!period) return;
+        if (field === 'label') {
+            period.label = value.trim().slice(0, 50);
+        } else if (StateSchema.isTime(value)) {
+            period[field] = value;
+        }
+        this.saveReminderSchedule();
+    }
+
+    toggleQuietDay(index, day) {
+        const period = this.state.settings.quietPeriods[index];
+        if (!period) return;
+        period.days = period.days.includes(day)
+            ? period.days.filter(d => d !== day)
+            : [...period.days, day].sort((a, b) => a - b);
+        this.saveReminderSchedule();
+    }
+
+    removeQuietPeriod(index) {
+        this.state.settings.quietPeriods.splice(index, 1);
+        this.saveReminderSchedule();
+    }
+
+    // ==================== Snooze & Pause ====================
+
+    // The saved pause, unless it has run out
+    getReminderPause() {
+        const pause = this.state.settings.reminderPause;
+        return pause && new Date(pause.until) > new Date() ? pause : null;
+    }
+
+    pauseReminders(until, reason) {
+        this.state.settings.reminderPause = { until: new Date(until).toISOString(), reason };
+        this.saveState();
+        this.hideReminderNotification();
+        this.updateReminderStatus();
+
+        const verb = reason === 'snooze' ? 'snoozed' : 'paused';
+        this.showToast(reason === 'snooze' ? '😴' : '⏸️', `Reminders ${verb} until ${this.formatPauseTime(until)}`);
+    }
+
+    resumeReminders() {
+        this.state.settings.reminderPause = null;
+        this.saveState();
+        this.updateReminderStatus();
+        this.showToast('🔔', 'Reminders resumed');
+    }
+
+    toggleReminderPauseOptions() {
+        const options = document.getElementById('reminderPauseOptions');
+        const input = document.getElementById('reminderPauseTime');
+        if (options.classList.contains('hidden') && !input.value) {
+            // Suggest two hours from now, on the hour
+            const suggestion = new Date(Date.now() + 2 * 60 * 60 * 1000);
+            input.value = `${String(suggestion.getHours()).padStart(2, '0')}:00`;
+        }
+        options.classList.toggle('hidden');
+    }
+
+    // A time earlier than now means that time tomorrow
+    pauseRemindersUntilTime() {
+        const value = document.getElementById('reminderPauseTime').value;
+        if (!StateSchema.isTime(value)) {
+            this.showToast('⚠️', 'Please pick a time');
+            return;
+        }
+
+        const [hours, minutes] = value.split(':').map(Number);
+        const until = new Date();
+        until.setHours(hours, minutes, 0, 0);
+        if (until <= new Date()) until.setDate(until.getDate() + 1);
+        this.pauseReminders(until, 'pause');
+    }
+
+    formatPauseTime(time) {
+        const date = new Date(time);
+        const clock = date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        const tomorrow = new Date();
+        tomorrow.setDate(tomorrow.getDate() + 1);
+
+        if (date.toDateString() === new Date().toDateString()) return clock;
+        if (date.toDateString() === tomorrow.toDateString()) return `tomorrow ${clock}`;
+        return `${this.formatShortDate(date)} ${clock}`;
+    }
+
     updateReminderStatus() {
         const statusWrapper = this.reminderStatus.querySelector('.status-icon-wrapper');
         const statusText = this.reminderStatus.querySelector('.status-text');
-
-        if (this.state.settings.notificationsEnabled) {
+        const pause = this.state.settings.notificationsEnabled ? this.getReminderPause() : null;
+        document.getElementById('resumeReminders').classList.toggle('hidden', !pause);
+        this.updateBackgroundReminderNote();
+
+        if (pause) {
+            statusWrapper.className = 'status-icon-wrapper paused';
+            statusWrapper.querySelector('.status-icon').textContent = pause.reason === 'snooze' ? '😴' : '⏸️';
+            statusText.textContent = `${pause.reason === 'snooze' ? 'Snoozed' : 'Paused'} until ${this.formatPauseTime(pause.until)}`;
+            this.reminderBtnIcon.textContent = '🔕';
+            this.reminderBtnText.textContent = 'Disable Reminders';
+        } else if (this.state.settings.notificationsEnabled) {
             statusWrapper.className = 'status-icon-wrapper on';
             statusWrapper.querySelector('.status-icon').textContent = '🔔';
-            statusText.textContent = `Reminding every ${this.state.settings.reminderInterval} minutes`;
+            statusText.textContent = `Reminding every ${this.state.settings.reminderInterval} minutes, sooner when you're behind`;
             this.reminderBtnIcon.textContent = '🔕';
             this.reminderBtnText.textContent = 'Disable Reminders';
         } else {
@@ -1481,6 +4564,92 @@ class HydraTrack {
         }
     }
 
+    // ==================== Installed App ====================
+
+    /**
+     * Run a home screen shortcut such as ?action=log&amount=250, then drop
+     * it from the URL so reloading doesn't log the drink twice.
+     */
+    handleLaunchAction() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('action') !== 'log') return;
+
+        window.history.replaceState(null, '', window.location.pathname);
+        const amount = parseInt(params.get('amount'));
+        if (amount > 0 && amount <= 2000) {
+            this.addWater(amount, 'water');
+        }
+    }
+
+    async registerServiceWorker() {
+        navigator.serviceWorker.addEventListener('message', (event) => this.handleWorkerMessage(event.data || {}));
+
+        try {
+            this.swRegistration = await navigator.serviceWorker.register('sw.js');
+        } catch (err) {
+            console.error('Service worker registration failed:', err);
+            // Keep reminders going from this page instead
+            this.serviceWorkerFailed = true;
+            this.sentReminderSchedule = null;
+            this.syncReminderSchedule();
+            return;
+        }
+
+        const registration = this.swRegistration;
+        // Without a controller this is the first install, not an update
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdateNotification(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdateNotification(worker);
+                }
+            });
+        });
+
+        // The first install claims the page too, so only reload when asked
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updateAccepted) window.location.reload();
+        });
+    }
+
+    postToServiceWorker(message) {
+        navigator.serviceWorker.ready.then(registration => registration.active.postMessage(message));
+    }
+
+    handleWorkerMessage(message) {
+        if (message.type === 'REMINDER') {
+            this.showReminder(message.body);
+        } else if (message.type === 'SNOOZED') {
+            // "Snooze" on a system notification
+            this.pauseReminders(message.until, 'snooze');
+        } else if (message.type === 'LOG_DRINK') {
+            // "Log 250ml" on a reminder
+            this.addWater(message.amount, 'water');
+        }
+    }
+
+    checkForUpdate() {
+        if (this.swRegistration) {
+            this.swRegistration.update().catch(() => {});
+        }
+    }
+
+    showUpdateNotification(worker) {
+        this.waitingWorker = worker;
+        this.updateNotification.classList.remove('hidden');
+    }
+
+    applyUpdate() {
+        if (!this.waitingWorker) return;
+        this.updateNotification.classList.add('hidden');
+        this.updateAccepted = true;
+        // Everything is already in localStorage and the outbox, so nothing is lost
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
     // ==================== Sounds ====================
 
     initAudioContext() {
@@ -1613,16 +4782,35 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Handle visibility change
 document.addEventListener('visibilitychange', () => {
-    if (!document.hidden && window.hydraTrack) {
+    if (!window.hydraTrack) return;
+
+    // Flush when leaving the tab too, in case it's about to be closed
+    if (window.hydraTrack.isAuthenticated) {
+        window.hydraTrack.syncManager.flush();
+    }
+    if (!document.hidden) {
         window.hydraTrack.checkNewDay();
         window.hydraTrack.updateDisplay();
+        window.hydraTrack.checkForUpdate();
+    }
+});
+
+// Send queued changes as soon as the connection is back
+window.addEventListener('online', () => {
+    if (window.hydraTrack && window.hydraTrack.isAuthenticated) {
+        window.hydraTrack.syncManager.flush();
+    }
+});
+
+window.addEventListener('offline', () => {
+    if (window.hydraTrack && window.hydraTrack.syncManager.hasPendingChanges()) {
+        window.hydraTrack.syncManager.setStatus('offline');
     }
 });
 
-// Service Worker for PWA (basic offline support)
+// Service worker for offline use and installing as an app
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
-        // Service worker can be added for PWA functionality
-        // navigator.serviceWorker.register('/sw.js');
+        if (window.hydraTrack) window.hydraTrack.registerServiceWorker();
     });
 }
@@ -0,0 +1,7 @@
+/**
+ * HydraTrack - Deployment configuration
+ * Values set here override the defaults in AWS_CONFIG (app.js), e.g. to use
+ * another stack's API_URL, USER_POOL_ID and CLIENT_ID. dev/local-backend.js
+ * serves its own version of this file pointing at the local backend.
+ */
+window.HYDRATRACK_CONFIG = window.HYDRATRACK_CONFIG || {};
@@ -0,0 +1,916 @@
+/**
+ * HydraTrack - Core logic
+ * Game rules, stats, state migrations, merging and the reminder schedule.
+ * Nothing here touches the DOM, so app.js and sw.js build on it in the
+ * browser and the tests in tests/ load it in Node.
+ */
+
+// ==================== Progression ====================
+class Progression {
+    // Level titles and XP requirements
+    static LEVELS = [
+        { level: 1, title: 'Hydration Rookie', xpRequired: 0 },
+        { level: 2, title: 'Water Apprentice', xpRequired: 100 },
+        { level: 3, title: 'Hydration Enthusiast', xpRequired: 250 },
+        { level: 4, title: 'Water Warrior', xpRequired: 500 },
+        { level: 5, title: 'Hydration Hero', xpRequired: 800 },
+        { level: 6, title: 'Aqua Champion', xpRequired: 1200 },
+        { level: 7, title: 'Water Master', xpRequired: 1700 },
+        { level: 8, title: 'Hydration Legend', xpRequired: 2300 },
+        { level: 9, title: 'Aqua Sage', xpRequired: 3000 },
+        { level: 10, title: 'Hydration Deity', xpRequired: 4000 }
+    ];
+
+    static getXPForAmount(amount) {
+        return Math.floor(amount / 25); // 10 XP per 250ml
+    }
+
+    static getLevelForXP(totalXp) {
+        for (let i = Progression.LEVELS.length - 1; i >= 0; i--) {
+            if (totalXp >= Progression.LEVELS[i].xpRequired) {
+                return Progression.LEVELS[i].level;
+            }
+        }
+        return 1;
+    }
+
+    /**
+     * XP a state has earned: its drinks, 100 per day the goal was reached
+     * and its unlocked achievements.
+     */
+    static getTotalXP(state, perfectDays) {
+        const drinkXP = state.history.reduce((sum, h) =>
+            sum + (h.xp ?? Progression.getXPForAmount(Hydration.getEntryHydration(h))), 0);
+        const achievementXP = Achievements.DEFINITIONS
+            .filter(a => state.achievements[a.id])
+            .reduce((sum, a) => sum + a.xp, 0);
+        return drinkXP + perfectDays * 100 + achievementXP;
+    }
+
+    /**
+     * How far `totalXp` is into `level`, for the XP bar. The last level
+     * always shows as full.
+     */
+    static getLevelProgress(totalXp, level) {
+        const currentLevelData = Progression.LEVELS.find(l => l.level === level);
+        const nextLevelData = Progression.LEVELS.find(l => l.level === level + 1);
+
+        if (!currentLevelData || !nextLevelData) {
+            return { current: 0, required: 1, percentage: 100 };
+        }
+
+        const xpIntoCurrentLevel = totalXp - currentLevelData.xpRequired;
+        const xpRequiredForNext = nextLevelData.xpRequired - currentLevelData.xpRequired;
+
+        return {
+            current: xpIntoCurrentLevel,
+            required: xpRequiredForNext,
+            percentage: (xpIntoCurrentLevel / xpRequiredForNext) * 100
+        };
+    }
+}
+
+// ==================== Achievements ====================
+class Achievements {
+    static DEFINITIONS = [
+        { id: 'first_drop', name: 'First Drop', desc: 'Drink your first glass', icon: '💧', xp: 25, condition: (s) => s.stats.glassesCount >= 1 },
+        { id: 'getting_started', name: 'Getting Started', desc: 'Complete your first day', icon: '🌟', xp: 50, condition: (s) => s.stats.perfectDays >= 1 },
+        { id: 'hydration_habit', name: 'Hydration Habit', desc: 'Reach a 3-day streak', icon: '🔥', xp: 75, condition: (s) => s.streak >= 3 },
+        { id: 'week_warrior', name: 'Week Warrior', desc: 'Reach a 7-day streak', icon: '⚔️', xp: 150, condition: (s) => s.streak >= 7 },
+        { id: 'hydration_hero', name: 'Hydration Hero', desc: 'Reach a 14-day streak', icon: '🦸', xp: 300, condition: (s) => s.streak >= 14 },
+        { id: 'monthly_master', name: 'Monthly Master', desc: 'Reach a 30-day streak', icon: '👑', xp: 500, condition: (s) => s.streak >= 30 },
+        { id: 'liter_club', name: 'Liter Club', desc: 'Drink 1L in one session', icon: '🏆', xp: 50, condition: (s) => s.history.some(h => h.amount >= 1000) },
+        { id: 'early_bird', name: 'Early Bird', desc: 'Drink water before 8 AM', icon: '🐦', xp: 40, condition: (s) => s.history.some(h => new Date(h.timestamp).getHours() < 8) },
+        { id: 'night_owl', name: 'Night Owl', desc: 'Drink water after 10 PM', icon: '🦉', xp: 40, condition: (s) => s.history.some(h => new Date(h.timestamp).getHours() >= 22) },
+        { id: 'ocean_drinker', name: 'Ocean Drinker', desc: 'Drink 10L total', icon: '🌊', xp: 100, condition: (s) => s.stats.totalWater >= 10000 },
+        { id: 'river_runner', name: 'River Runner', desc: 'Drink 50L total', icon: '🏞️', xp: 200, condition: (s) => s.stats.totalWater >= 50000 },
+        { id: 'waterfall_wonder', name: 'Waterfall Wonder', desc: 'Drink 100L total', icon: '💦', xp: 400, condition: (s) => s.stats.totalWater >= 100000 },
+        { id: 'level_5', name: 'Rising Star', desc: 'Reach Level 5', icon: '⭐', xp: 100, condition: (s) => s.level >= 5 },
+        { id: 'level_10', name: 'Ultimate Hydrator', desc: 'Reach Level 10', icon: '🌈', xp: 250, condition: (s) => s.level >= 10 },
+        { id: 'perfectionist', name: 'Perfectionist', desc: 'Complete 10 perfect days', icon: '💎', xp: 200, condition: (s) => s.stats.perfectDays >= 10 }
+    ];
+
+    /**
+     * Achievements whose condition `state` meets but that aren't unlocked
+     * yet. Conditions read `state.stats` and `state.streak`, so refresh
+     * those first.
+     */
+    static findNewlyUnlocked(state) {
+        return Achievements.DEFINITIONS.filter(a => !state.achievements[a.id] && a.condition(state));
+    }
+
+    /**
+     * Whether `state` still supports an unlocked achievement. Streak goals
+     * count the best streak, so a streak that broke later keeps its badge.
+     */
+    static isEarned(achievement, state) {
+        const streak = Math.max(state.streak || 0, state.stats.bestStreak || 0);
+        return achievement.condition({ ...state, streak });
+    }
+
+    /**
+     * Unlocked achievements the data no longer supports, such as ones another
+     * device revoked after a drink was deleted that a merge brought back.
+     */
+    static findUnearned(state) {
+        return Achievements.DEFINITIONS.filter(a => state.achievements[a.id] && !Achievements.isEarned(a, state));
+    }
+}
+
+// ==================== Daily Targets ====================
+class Hydration {
+    static getEntryHydration(entry) {
+        // Entries logged before beverages existed were plain water
+        return entry.hydration ?? entry.amount;
+    }
+
+    /**
+     * The amount logged most often among the last drinks, the latest one
+     * winning ties. A glass (250ml) until anything is logged.
+     */
+    static getUsualAmount(history, sampleSize = 30) {
+        const recent = history.slice(-sampleSize);
+        const counts = new Map();
+        recent.forEach(entry => counts.set(entry.amount, (counts.get(entry.amount) || 0) + 1));
+
+        let usual = 250;
+        let best = 0;
+        recent.forEach(entry => {
+            if (counts.get(entry.amount) >= best) {
+                best = counts.get(entry.amount);
+                usual = entry.amount;
+            }
+        });
+        return usual;
+    }
+
+    // Local calendar day as YYYY-MM-DD, the format of the goal log
+    static getDateKey(date) {
+        const d = new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Whether the last drink was logged on an earlier local day than `now`,
+     * so today's intake starts over.
+     */
+    static isNewDay(lastDrinkDate, now = new Date()) {
+        return Boolean(lastDrinkDate) && lastDrinkDate !== now.toDateString();
+    }
+
+    /**
+     * Goal that applied on the given day, looked up in the dated goal log.
+     */
+    static getGoalForDate(state, date) {
+        const key = Hydration.getDateKey(date);
+        const log = state.goalHistory || [];
+        let goal = log.length > 0 ? log[0].goal : state.dailyGoal;
+
+        for (const change of log) {
+            if (change.from > key) break;
+            goal = change.goal;
+        }
+        return goal;
+    }
+
+    static getActivitiesForDate(state, date) {
+        const dateStr = new Date(date).toDateString();
+        return (state.activities || []).filter(a => a.date === dateStr);
+    }
+
+    static getActivityBonusForDate(state, date) {
+        return Hydration.getActivitiesForDate(state, date).reduce((sum, a) => sum + a.bonus, 0);
+    }
+
+    /**
+     * Total target for a day: the goal in effect plus that day's workout bonus.
+     */
+    static getTargetForDate(state, date) {
+        return Hydration.getGoalForDate(state, date) + Hydration.getActivityBonusForDate(state, date);
+    }
+}
+
+// ==================== State Schema ====================
+class StateSchema {
+    static VERSION = 5;
+
+    /**
+     * Ordered migrations. Each one upgrades a state saved at `version - 1`
+     * to `version`, so old local and cloud states can be brought up to date.
+     */
+    static migrations = [
+        {
+            version: 1,
+            description: 'Give every history entry an id',
+            migrate: (state) => {
+                (state.history || []).forEach(h => {
+                    if (h && !h.id) h.id = StateSchema.legacyEntryId(h);
+                });
+            }
+        },
+        {
+            version: 2,
+            description: 'Record beverage and effective hydration on entries',
+            migrate: (state) => {
+                (state.history || []).forEach(h => {
+                    if (!h) return;
+                    if (!h.beverage) h.beverage = 'water';
+                    if (h.hydration === undefined) h.hydration = h.amount;
+                });
+            }
+        },
+        {
+            version: 3,
+            description: 'Start the goal log with the goal that applied so far',
+            migrate: (state) => {
+                if (!Array.isArray(state.goalHistory) || state.goalHistory.length === 0) {
+                    state.goalHistory = [{ from: '1970-01-01', goal: state.dailyGoal || 2000 }];
+                }
+            }
+        },
+        {
+            version: 4,
+            description: 'Track which device logged each entry and when records were deleted',
+            migrate: (state) => {
+                (state.history || []).forEach(h => {
+                    if (h && !h.deviceId) h.deviceId = 'unknown';
+                });
+                if (!StateSchema.isPlainObject(state.deletedEntries)) state.deletedEntries = {};
+                if (!StateSchema.isPlainObject(state.fieldTimestamps)) state.fieldTimestamps = {};
+            }
+        },
+        {
+            version: 5,
+            description: 'Turn the one range of active hours into a schedule per weekday',
+            migrate: (state) => {
+                const settings = state.settings;
+                if (!StateSchema.isPlainObject(settings) || Array.isArray(settings.reminderDays)) return;
+
+                const start = StateSchema.isTime(settings.startTime) ? settings.startTime : '08:00';
+                const end = StateSchema.isTime(settings.endTime) ? settings.endTime : '22:00';
+                settings.reminderDays = Array.from({ length: 7 }, () => [{ start, end }]);
+                delete settings.startTime;
+                delete settings.endTime;
+            }
+        }
+    ];
+
+    static generateId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Ids for entries saved before ids existed are derived from the entry
+     * itself, so every device migrating the same data agrees on them.
+     */
+    static legacyEntryId(entry) {
+        const time = new Date(entry.timestamp).getTime();
+        return `legacy-${Number.isFinite(time) ? time.toString(36) : '0'}-${entry.amount}`;
+    }
+
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    static isTime(value) {
+        return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+    }
+
+    /**
+     * Parse, migrate, fill in defaults and validate a saved state.
+     * Returns null when the data is unusable (e.g. corrupt JSON). What had
+     * to be repaired or thrown away is passed to `report` as a message;
+     * this module logs nothing itself.
+     */
+    static prepare(raw, defaults, report = () => {}) {
+        let parsed = raw;
+        if (typeof raw === 'string') {
+            try {
+                parsed = JSON.parse(raw);
+            } catch (err) {
+                report(`Saved state is not valid JSON: ${err.message}`);
+                return null;
+            }
+        }
+        if (!StateSchema.isPlainObject(parsed)) return null;
+
+        const migrated = StateSchema.migrate(parsed);
+        const merged = StateSchema.mergeDefaults(defaults, migrated);
+        return StateSchema.validate(merged, defaults, report);
+    }
+
+    static migrate(state) {
+        const migrated = JSON.parse(JSON.stringify(state));
+        const fromVersion = Number.isInteger(migrated.schemaVersion) ? migrated.schemaVersion : 0;
+
+        StateSchema.migrations
+            .filter(m => m.version > fromVersion)
+            .forEach(m => m.migrate(migrated));
+
+        migrated.schemaVersion = Math.max(fromVersion, StateSchema.VERSION);
+        return migrated;
+    }
+
+    /**
+     * Deep merge so nested defaults added later (e.g. a new setting) survive
+     * loading a state saved before they existed. Arrays are taken as saved.
+     */
+    static mergeDefaults(defaults, value) {
+        if (!StateSchema.isPlainObject(defaults) || !StateSchema.isPlainObject(value)) {
+            return value === undefined ? defaults : value;
+        }
+
+        const merged = { ...defaults };
+        Object.keys(value).forEach(key => {
+            merged[key] = StateSchema.mergeDefaults(defaults[key], value[key]);
+        });
+        return merged;
+    }
+
+    /**
+     * Replace values of the wrong type or out of range with their defaults
+     * and drop records that can't be read, listing them in one `report`.
+     */
+    static validate(state, defaults, report = () => {}) {
+        const problems = [];
+        const fix = (target, source, key, isValid, label) => {
+            if (!isValid(target[key])) {
+                problems.push(label || key);
+                target[key] = JSON.parse(JSON.stringify(source[key] ?? null));
+            }
+        };
+        const isCount = (v) => Number.isFinite(v) && v >= 0;
+        const isWindow = (w) => StateSchema.isPlainObject(w) && StateSchema.isTime(w.start) && StateSchema.isTime(w.end);
+        const isWeekday = (d) => Number.isInteger(d) && d >= 0 && d <= 6;
+
+        fix(state, defaults, 'currentIntake', isCount);
+        fix(state, defaults, 'dailyGoal', (v) => Number.isFinite(v) && v >= 500 && v <= 5000);
+        fix(state, defaults, 'xp', isCount);
+        fix(state, defaults, 'totalXp', isCount);
+        fix(state, defaults, 'level', (v) => Number.isInteger(v) && v >= 1);
+        fix(state, defaults, 'streak', isCount);
+        fix(state, defaults, 'lastDrinkDate', (v) => v === null || (typeof v === 'string' && !isNaN(new Date(v))));
+        fix(state, defaults, 'history', Array.isArray);
+        fix(state, defaults, 'activities', Array.isArray);
+        fix(state, defaults, 'goalHistory', Array.isArray);
+        fix(state, defaults, 'achievements', StateSchema.isPlainObject);
+        fix(state, defaults, 'settings', StateSchema.isPlainObject);
+        fix(state, defaults, 'stats', StateSchema.isPlainObject);
+        fix(state, defaults, 'deletedEntries', StateSchema.isPlainObject);
+        fix(state, defaults, 'fieldTimestamps', StateSchema.isPlainObject);
+
+        Object.keys(defaults.stats).forEach(key => {
+            fix(state.stats, defaults.stats, key, isCount, `stats.${key}`);
+        });
+
+        const settings = state.settings;
+        const settingDefaults = defaults.settings;
+        fix(settings, settingDefaults, 'soundEnabled', (v) => typeof v === 'boolean', 'settings.soundEnabled');
+        fix(settings, settingDefaults, 'notificationsEnabled', (v) => typeof v === 'boolean', 'settings.notificationsEnabled');
+        fix(settings, settingDefaults, 'reminderInterval', (v) => Number.isFinite(v) && v >= 5 && v <= 240, 'settings.reminderInterval');
+        fix(settings, settingDefaults, 'reminderDays', (v) =>
+            Array.isArray(v) && v.length === 7 && v.every(day => Array.isArray(day) && day.every(isWindow)), 'settings.reminderDays');
+        fix(settings, settingDefaults, 'reminderPause', (v) =>
+            v === null || (StateSchema.isPlainObject(v) && !isNaN(new Date(v.until)) && ['snooze', 'pause'].includes(v.reason)), 'settings.reminderPause');
+        fix(settings, settingDefaults, 'quietPeriods', (v) =>
+            Array.isArray(v) && v.every(p => isWindow(p) && Array.isArray(p.days) && p.days.every(isWeekday)), 'settings.quietPeriods');
+        fix(settings, settingDefaults, 'selectedBeverage', (v) => typeof v === 'string', 'settings.selectedBeverage');
+        fix(settings, settingDefaults, 'customBeverages', Array.isArray, 'settings.customBeverages');
+        fix(settings, settingDefaults, 'caffeineLimit', isCount, 'settings.caffeineLimit');
+        fix(settings, settingDefaults, 'sugarLimit', isCount, 'settings.sugarLimit');
+        fix(settings, settingDefaults, 'goalProfile', (v) => v === null || StateSchema.isPlainObject(v), 'settings.goalProfile');
+        fix(settings, settingDefaults, 'goalMode', (v) => v === 'manual' || v === 'profile', 'settings.goalMode');
+
+        const historyLength = state.history.length;
+        state.history = state.history.filter(h =>
+            StateSchema.isPlainObject(h) &&
+            Number.isFinite(h.amount) && h.amount > 0 &&
+            !isNaN(new Date(h.timestamp))
+        );
+        state.history.forEach(h => {
+            if (!h.id) h.id = StateSchema.legacyEntryId(h);
+            if (typeof h.date !== 'string') h.date = new Date(h.timestamp).toDateString();
+        });
+        if (state.history.length !== historyLength) {
+            problems.push(`${historyLength - state.history.length} unreadable history entries`);
+        }
+
+        state.activities = state.activities.filter(a =>
+            StateSchema.isPlainObject(a) && typeof a.id === 'string' && typeof a.date === 'string' &&
+            isCount(a.duration) && isCount(a.bonus));
+        settings.customBeverages = settings.customBeverages.filter(b =>
+            StateSchema.isPlainObject(b) && typeof b.id === 'string' && b.id !== '' &&
+            typeof b.name === 'string' && typeof b.icon === 'string' &&
+            Number.isFinite(b.coefficient) && b.coefficient >= 0 && b.coefficient <= 1.5 &&
+            isCount(b.caffeine) && isCount(b.sugar));
+        state.goalHistory = state.goalHistory.filter(g =>
+            StateSchema.isPlainObject(g) && typeof g.from === 'string' && Number.isFinite(g.goal));
+        if (state.goalHistory.length === 0) {
+            state.goalHistory = [{ from: '1970-01-01', goal: state.dailyGoal }];
+        }
+
+        if (problems.length > 0) {
+            report(`Repaired saved state: ${problems.join(', ')}`);
+        }
+        return state;
+    }
+}
+
+// ==================== Stats Engine ====================
+class StatsEngine {
+    /**
+     * `getState` returns the current state; it is read on every call
+     * because the app replaces its state object on load and import.
+     */
+    constructor(getState) {
+        this.getState = getState;
+        // Bumped whenever the day totals or the targets they are judged against change
+        this.version = 0;
+        this.totals = null;
+        this.cache = null;
+    }
+
+    /**
+     * Recount every day after entries were edited in place without
+     * updateEntry(). Pushing and replacing entries is noticed without this.
+     */
+    invalidate() {
+        this.totals = null;
+        this.version++;
+    }
+
+    /**
+     * Judge the days again after a goal or workout was edited in place.
+     * Adding, removing or replacing them is noticed without this.
+     */
+    invalidateTargets() {
+        this.version++;
+    }
+
+    /**
+     * Move the total of the day `entry` is on after its hydration was
+     * edited in place from `oldHydration`.
+     */
+    updateEntry(entry, oldHydration) {
+        if (!this.isTotalsInSync(0)) {
+            this.invalidate();
+            return;
+        }
+        const day = this.totals.days.get(entry.date);
+        day.hydration += Hydration.getEntryHydration(entry) - oldHydration;
+        this.version++;
+    }
+
+    /**
+     * Take `entry` out of its day's total after it was spliced out of the
+     * history. Replacing the history instead is noticed without this.
+     */
+    removeEntry(entry) {
+        if (!this.isTotalsInSync(1)) {
+            this.invalidate();
+            return;
+        }
+        StatsEngine.countEntry(this.totals.days, entry, -1);
+        this.totals.length--;
+        this.version++;
+    }
+
+    // Whether the totals cover the history apart from `removed` entries taken out since
+    isTotalsInSync(removed) {
+        const { history } = this.getState();
+        return this.totals !== null &&
+            this.totals.history === history &&
+            this.totals.length === history.length + removed;
+    }
+
+    static countEntry(days, entry, sign = 1) {
+        const day = days.get(entry.date) || { hydration: 0, glasses: 0 };
+        day.hydration += sign * Hydration.getEntryHydration(entry);
+        day.glasses += sign;
+        if (day.glasses > 0) {
+            days.set(entry.date, day);
+        } else {
+            days.delete(entry.date);
+        }
+    }
+
+    /**
+     * Hydration and glasses per day. Drinks pushed since the last call are
+     * added to their day; a replaced history is counted again.
+     */
+    getDailyTotals() {
+        const { history } = this.getState();
+        if (!this.totals || this.totals.history !== history || this.totals.length > history.length) {
+            this.totals = { history, length: 0, days: new Map() };
+        }
+
+        if (this.totals.length < history.length) {
+            history.slice(this.totals.length).forEach(h => StatsEngine.countEntry(this.totals.days, h));
+            this.totals.length = history.length;
+            this.version++;
+        }
+        return this.totals.days;
+    }
+
+    getDayTotal(dateStr) {
+        const day = this.getDailyTotals().get(dateStr);
+        return day ? day.hydration : 0;
+    }
+
+    isCacheFresh() {
+        const { activities, goalHistory } = this.getState();
+        const cache = this.cache;
+
+        return cache !== null &&
+            cache.version === this.version &&
+            cache.today === new Date().toDateString() &&
+            cache.activities === activities &&
+            cache.activitiesLength === (activities || []).length &&
+            cache.goalHistory === goalHistory &&
+            cache.goalHistoryLength === (goalHistory || []).length;
+    }
+
+    /**
+     * Every aggregate the app shows, counted from the day totals and the
+     * goal that applied on each day.
+     */
+    getStats() {
+        const days = this.getDailyTotals();
+        if (this.isCacheFresh()) return this.cache.stats;
+
+        const { activities, goalHistory } = this.getState();
+        this.cache = {
+            version: this.version,
+            today: new Date().toDateString(),
+            activities,
+            activitiesLength: (activities || []).length,
+            goalHistory,
+            goalHistoryLength: (goalHistory || []).length,
+            stats: this.compute(days)
+        };
+        return this.cache.stats;
+    }
+
+    compute(days) {
+        const state = this.getState();
+        const dates = [...days.keys()].sort((a, b) => new Date(a) - new Date(b));
+        const perfectDates = new Set();
+        let totalWater = 0;
+        let bestStreak = 0;
+        let run = 0;
+        let previousDate = null;
+
+        dates.forEach(dateStr => {
+            const day = days.get(dateStr);
+            totalWater += day.hydration;
+            if (day.hydration < Hydration.getTargetForDate(state, dateStr)) return;
+
+            const dayBefore = new Date(dateStr);
+            dayBefore.setDate(dayBefore.getDate() - 1);
+            run = previousDate === dayBefore.toDateString() ? run + 1 : 1;
+            previousDate = dateStr;
+
+            perfectDates.add(dateStr);
+            bestStreak = Math.max(bestStreak, run);
+        });
+
+        // The streak survives if the last goal day was today or yesterday
+        const yesterday = new Date();
+        yesterday.setDate(yesterday.getDate() - 1);
+        const streakAlive = previousDate === new Date().toDateString() ||
+            previousDate === yesterday.toDateString();
+
+        return {
+            days,
+            perfectDates,
+            streak: streakAlive ? run : 0,
+            totalDays: dates.length,
+            totalWater,
+            perfectDays: perfectDates.size,
+            bestStreak,
+            glassesCount: state.history.length
+        };
+    }
+}
+
+// ==================== State Merge ====================
+class StateMerger {
+    // Top-level fields merged last-writer-wins, next to every setting
+    static TRACKED_FIELDS = ['dailyGoal', 'goalHistory'];
+
+    // Everything synced besides drinks, which are stored one by one
+    static PROFILE_FIELDS = ['schemaVersion', 'dailyGoal', 'goalHistory', 'settings', 'fieldTimestamps',
+        'achievements', 'activities', 'deletedEntries'];
+
+    // Deletions are kept long enough for every device to have pulled them.
+    // Drinks also keep a deleted marker on the server, which never expires.
+    static TOMBSTONE_DAYS = 30;
+    // The profile carries the newest deletions only, well under the server's 5000
+    static MAX_PROFILE_TOMBSTONES = 1000;
+
+    static getProfile(state, now = Date.now()) {
+        const profile = {};
+        StateMerger.PROFILE_FIELDS.forEach(key => {
+            profile[key] = state[key];
+        });
+        profile.deletedEntries = StateMerger.compactDeletions(state.deletedEntries, now, StateMerger.MAX_PROFILE_TOMBSTONES);
+        return profile;
+    }
+
+    /**
+     * Serialised value of every field that is merged last-writer-wins,
+     * keyed like `dailyGoal` or `settings.startTime`.
+     */
+    static getFieldValues(state) {
+        const values = {};
+        StateMerger.TRACKED_FIELDS.forEach(key => {
+            if (state[key] !== undefined) values[key] = JSON.stringify(state[key]);
+        });
+        Object.keys(state.settings || {}).forEach(key => {
+            values[`settings.${key}`] = JSON.stringify(state.settings[key]);
+        });
+        return values;
+    }
+
+    /**
+     * Merge two states from different devices. Drinks and workouts are
+     * combined by id, deletions win, and each setting keeps the value that
+     * was changed last. Derived stats must be recomputed afterwards.
+     */
+    static merge(local, remote, now = Date.now()) {
+        // Every deletion applies; only the recent ones are kept afterwards
+        const deletedEntries = StateMerger.mergeDeletions(local.deletedEntries, remote.deletedEntries);
+        const merged = {
+            ...local,
+            schemaVersion: Math.max(local.schemaVersion || 0, remote.schemaVersion || 0),
+            deletedEntries: StateMerger.compactDeletions(deletedEntries, now),
+            history: StateMerger.mergeRecords(local.history, remote.history, deletedEntries),
+            activities: StateMerger.mergeRecords(local.activities, remote.activities, deletedEntries),
+            achievements: StateMerger.mergeAchievements(local.achievements, remote.achievements),
+            settings: { ...local.settings },
+            fieldTimestamps: { ...(local.fieldTimestamps || {}) }
+        };
+
+        // Fields nobody has stamped yet come from the cloud copy
+        const remoteTimes = remote.fieldTimestamps || {};
+        Object.keys(StateMerger.getFieldValues(remote)).forEach(key => {
+            const localTime = merged.fieldTimestamps[key];
+            const remoteTime = remoteTimes[key] || '';
+            if (localTime && localTime >= remoteTime) return;
+
+            if (key.startsWith('settings.')) {
+                merged.settings[key.slice('settings.'.length)] = remote.settings[key.slice('settings.'.length)];
+            } else {
+                merged[key] = remote[key];
+            }
+            if (remoteTime) merged.fieldTimestamps[key] = remoteTime;
+        });
+
+        return merged;
+    }
+
+    /**
+     * Deletions from the last TOMBSTONE_DAYS, at most `max` of them, newest
+     * first. Deletion times are ISO strings, so they sort as text.
+     */
+    static compactDeletions(deletedEntries = {}, now = Date.now(), max = Infinity) {
+        const cutoff = new Date(now - StateMerger.TOMBSTONE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        return Object.fromEntries(Object.entries(deletedEntries)
+            .filter(([, deletedAt]) => deletedAt >= cutoff)
+            .sort(([, a], [, b]) => (a < b ? 1 : a > b ? -1 : 0))
+            .slice(0, max));
+    }
+
+    static mergeDeletions(a = {}, b = {}) {
+        const merged = { ...a };
+        Object.entries(b).forEach(([id, deletedAt]) => {
+            if (!merged[id] || deletedAt > merged[id]) merged[id] = deletedAt;
+        });
+        return merged;
+    }
+
+    /**
+     * Union of two record lists by id. When both sides edited the same
+     * record, the later `updatedAt` wins.
+     */
+    static mergeRecords(a = [], b = [], deletedEntries = {}) {
+        const byId = new Map();
+        [...a, ...b].forEach(record => {
+            if (deletedEntries[record.id]) return;
+            const existing = byId.get(record.id);
+            const version = (r) => r.updatedAt || r.timestamp || '';
+            if (!existing || version(record) > version(existing)) {
+                byId.set(record.id, record);
+            }
+        });
+        return [...byId.values()].sort((x, y) => new Date(x.timestamp) - new Date(y.timestamp));
+    }
+
+    static mergeAchievements(a = {}, b = {}) {
+        const merged = { ...a };
+        Object.entries(b).forEach(([id, achievement]) => {
+            const current = merged[id];
+            if (!current || (achievement.unlockedAt && achievement.unlockedAt < current.unlockedAt)) {
+                merged[id] = achievement;
+            }
+        });
+        return merged;
+    }
+}
+
+// ==================== Reminders ====================
+// The schedule is kept by the service worker, which may be stopped between
+// wake-ups, so it is plain data: the reminder settings, today's goal and
+// intake, and when reminders were started, last shown, snoozed from a
+// notification or paused in the app and when the last drink was logged
+// (all in ms).
+//
+// Active hours are windows per weekday, `reminderDays[date.getDay()]`, and
+// quiet periods are windows with the weekdays they apply to. A window whose
+// end is not after its start runs past midnight into the next day.
+class Reminders {
+    static SNOOZE_MINUTES = 15;
+
+    // Never remind more often than this, however far behind
+    static MIN_INTERVAL = 15;
+
+    // Each this many ml behind pace shortens the wait by another step:
+    // 500ml behind reminds twice as often, 1000ml three times as often
+    static CATCH_UP_STEP = 500;
+
+    static DAY_MINUTES = 24 * 60;
+
+    static toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    static getMinuteOfDay(date) {
+        return date.getHours() * 60 + date.getMinutes();
+    }
+
+    /**
+     * Minutes of the calendar day of `date` covered by the windows, as
+     * sorted, non-overlapping [from, to) pairs. Overnight windows of the
+     * day before add their part after midnight.
+     */
+    static getDaySegments(windowsByDay, date) {
+        const day = date.getDay();
+        const segments = [];
+
+        (windowsByDay[day] || []).forEach(w => {
+            const start = Reminders.toMinutes(w.start);
+            const end = Reminders.toMinutes(w.end);
+            segments.push([start, end > start ? end : Reminders.DAY_MINUTES]);
+        });
+        (windowsByDay[(day + 6) % 7] || []).forEach(w => {
+            const start = Reminders.toMinutes(w.start);
+            const end = Reminders.toMinutes(w.end);
+            if (end <= start && end > 0) segments.push([0, end]);
+        });
+
+        return segments
+            .sort((a, b) => a[0] - b[0])
+            .reduce((merged, [from, to]) => {
+                const last = merged[merged.length - 1];
+                if (last && from <= last[1]) {
+                    last[1] = Math.max(last[1], to);
+                } else {
+                    merged.push([from, to]);
+                }
+                return merged;
+            }, []);
+    }
+
+    static getQuietSegments(schedule, date) {
+        const periods = schedule.quietPeriods || [];
+        const byDay = Array.from({ length: 7 }, (_, day) => periods.filter(p => p.days.includes(day)));
+        return Reminders.getDaySegments(byDay, date);
+    }
+
+    static findSegment(segments, minute) {
+        return segments.find(([from, to]) => minute >= from && minute < to) || null;
+    }
+
+    // The active window `date` falls in, or null when none or in a quiet period
+    static getActiveSegment(schedule, date = new Date()) {
+        const minute = Reminders.getMinuteOfDay(date);
+        if (Reminders.findSegment(Reminders.getQuietSegments(schedule, date), minute)) return null;
+        return Reminders.findSegment(Reminders.getDaySegments(schedule.reminderDays, date), minute);
+    }
+
+    static isWithinActiveHours(schedule, date = new Date()) {
+        return Reminders.getActiveSegment(schedule, date) !== null;
+    }
+
+    // The intake sent with the schedule only counts on the day it was sent
+    static getIntake(schedule, date = new Date()) {
+        return schedule.intakeDate === date.toDateString() ? schedule.intake : 0;
+    }
+
+    /**
+     * How many ml the intake is behind an even pace over today's active
+     * hours, where the whole goal is due when the last window closes.
+     */
+    static getShortfall(schedule, date = new Date()) {
+        const segments = Reminders.getDaySegments(schedule.reminderDays, date);
+        const minute = Reminders.getMinuteOfDay(date);
+        const total = segments.reduce((sum, [from, to]) => sum + to - from, 0);
+        const elapsed = segments.reduce((sum, [from, to]) => sum + Math.min(Math.max(minute - from, 0), to - from), 0);
+        const progress = total > 0 ? elapsed / total : 1;
+
+        return Math.max(Math.ceil(schedule.goal * progress) - Reminders.getIntake(schedule, date), 0);
+    }
+
+    // Minutes to wait after the last reminder or drink
+    static getInterval(schedule, date = new Date()) {
+        const shortfall = Reminders.getShortfall(schedule, date);
+        const interval = schedule.interval / (1 + shortfall / Reminders.CATCH_UP_STEP);
+        return Math.max(interval, Math.min(Reminders.MIN_INTERVAL, schedule.interval));
+    }
+
+    /**
+     * Apply new settings from the app. The countdown only restarts when
+     * reminders are switched on or the interval changes, so reopening the
+     * app doesn't push the next reminder back.
+     */
+    static updateSchedule(schedule, settings, now = Date.now()) {
+        const restart = !schedule || !schedule.enabled || schedule.interval !== settings.interval;
+        // Resuming in the app also ends a snooze from a notification
+        const resumed = !restart && schedule.pausedUntil && !settings.pausedUntil;
+        return {
+            ...schedule,
+            ...settings,
+            startedAt: restart ? now : schedule.startedAt,
+            snoozedUntil: restart || resumed ? null : schedule.snoozedUntil
+        };
+    }
+
+    /**
+     * Whether a reminder is due at `now`, and the schedule after showing it.
+     * The wait counts from the last reminder or drink, and at the earliest
+     * from the start of the current window. None is due outside the active
+     * hours, in a quiet period, once the goal is met or while snoozed or
+     * paused. Reminders missed while the device slept collapse into one.
+     */
+    static advance(schedule, now = Date.now()) {
+        const none = { show: false, schedule };
+        if (!schedule || !schedule.enabled) return none;
+        if (now < Math.max(schedule.snoozedUntil || 0, schedule.pausedUntil || 0)) return none;
+
+        const date = new Date(now);
+        const segment = Reminders.getActiveSegment(schedule, date);
+        if (!segment) return none;
+        if (Reminders.getIntake(schedule, date) >= schedule.goal) return none;
+
+        // A window running on from before midnight started the day before
+        const windowStart = new Date(date);
+        windowStart.setHours(0, segment[0], 0, 0);
+        const floor = segment[0] > 0 ? windowStart.getTime() : 0;
+        const since = Math.max(schedule.startedAt, schedule.lastReminderAt || 0, schedule.lastDrinkAt || 0, floor);
+        if (now < since + Reminders.getInterval(schedule, date) * 60 * 1000) return none;
+
+        return { show: true, schedule: { ...schedule, lastReminderAt: now } };
+    }
+
+    static snooze(schedule, minutes = Reminders.SNOOZE_MINUTES, now = Date.now()) {
+        return { ...schedule, snoozedUntil: now + minutes * 60 * 1000 };
+    }
+
+    /**
+     * When "pause until tomorrow" ends: the first window that opens on a
+     * later day. Overnight windows still running after midnight are
+     * skipped, as they belong to today's shift.
+     */
+    static getTomorrowStart(schedule, now = Date.now()) {
+        const tomorrow = new Date(now);
+        tomorrow.setHours(0, 0, 0, 0);
+        tomorrow.setDate(tomorrow.getDate() + 1);
+
+        for (let offset = 0; offset < 7; offset++) {
+            const day = new Date(tomorrow);
+            day.setDate(day.getDate() + offset);
+            const starts = (schedule.reminderDays[day.getDay()] || []).map(w => Reminders.toMinutes(w.start));
+            if (starts.length > 0) {
+                day.setHours(0, Math.min(...starts), 0, 0);
+                return day.getTime();
+            }
+        }
+        return tomorrow.getTime();
+    }
+
+    static getMessage(schedule, date = new Date()) {
+        const intake = Reminders.getIntake(schedule, date);
+        const shortfall = Reminders.getShortfall(schedule, date);
+        if (shortfall > 0) {
+            return `Drink ${shortfall}ml to catch up. You've had ${intake}ml of ${schedule.goal}ml today`;
+        }
+        return `You're on track with ${intake}ml of ${schedule.goal}ml today. Keep going!`;
+    }
+}
+
+// Loaded with a <script> tag in the browser and importScripts() in sw.js,
+// required by the Node tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Progression, Achievements, Hydration, StateSchema, StatsEngine, StateMerger, Reminders };
+}
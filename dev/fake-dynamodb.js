@@ -0,0 +1,279 @@
+/**
+ * HydraTrack - In-memory DynamoDB
+ * Implements the part of @aws-sdk/client-dynamodb the Lambda uses, so the
+ * handler from backend-stack.yaml can run locally. Items can be kept in a
+ * JSON file so data survives restarts.
+ */
+
+const fs = require('fs');
+
+class ConditionalCheckFailedException extends Error {
+    constructor() {
+        super('The conditional request failed');
+        this.name = 'ConditionalCheckFailedException';
+    }
+}
+
+class ValidationException extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ValidationException';
+    }
+}
+
+// ==================== Expressions ====================
+
+/**
+ * Parser for the condition, key and filter expressions the Lambda writes:
+ * AND/OR/NOT, parentheses, comparisons, attribute_exists,
+ * attribute_not_exists and begins_with.
+ */
+function evaluateExpression(expression, item, names = {}, values = {}) {
+    const tokens = expression.match(/\s*(<>|<=|>=|[=<>(),]|[#:]?[\w.]+)/g).map(t => t.trim());
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const expect = (token) => {
+        if (next() !== token) throw new ValidationException(`Invalid expression: ${expression}`);
+    };
+
+    const resolveName = (token) => names[token] || token;
+    const readValue = (token) => {
+        if (token.startsWith(':')) {
+            if (!(token in values)) throw new ValidationException(`Missing value ${token}`);
+            return scalar(values[token]);
+        }
+        return item ? scalar(item[resolveName(token)]) : undefined;
+    };
+
+    const parseOr = () => {
+        let result = parseAnd();
+        while (peek() && peek().toUpperCase() === 'OR') {
+            next();
+            result = parseAnd() || result;
+        }
+        return result;
+    };
+
+    const parseAnd = () => {
+        let result = parseNot();
+        while (peek() && peek().toUpperCase() === 'AND') {
+            next();
+            result = parseNot() && result;
+        }
+        return result;
+    };
+
+    const parseNot = () => {
+        if (peek() && peek().toUpperCase() === 'NOT') {
+            next();
+            return !parseNot();
+        }
+        return parseTerm();
+    };
+
+    const parseTerm = () => {
+        const token = next();
+        if (token === '(') {
+            const result = parseOr();
+            expect(')');
+            return result;
+        }
+
+        if (peek() === '(') {
+            next();
+            const path = resolveName(next());
+            let argument;
+            if (peek() === ',') {
+                next();
+                argument = readValue(next());
+            }
+            expect(')');
+
+            const present = Boolean(item) && item[path] !== undefined;
+            if (token === 'attribute_exists') return present;
+            if (token === 'attribute_not_exists') return !present;
+            if (token === 'begins_with') return present && String(scalar(item[path])).startsWith(argument);
+            throw new ValidationException(`Unsupported function ${token}`);
+        }
+
+        const operator = next();
+        const left = readValue(token);
+        const right = readValue(next());
+        if (left === undefined || right === undefined) return operator === '<>';
+
+        switch (operator) {
+            case '=': return left === right;
+            case '<>': return left !== right;
+            case '<': return left < right;
+            case '<=': return left <= right;
+            case '>': return left > right;
+            case '>=': return left >= right;
+            default: throw new ValidationException(`Unsupported operator ${operator}`);
+        }
+    };
+
+    const result = parseOr();
+    if (pos < tokens.length) throw new ValidationException(`Invalid expression: ${expression}`);
+    return result;
+}
+
+function scalar(attribute) {
+    if (!attribute) return undefined;
+    if ('S' in attribute) return attribute.S;
+    if ('N' in attribute) return Number(attribute.N);
+    if ('BOOL' in attribute) return attribute.BOOL;
+    return JSON.stringify(attribute);
+}
+
+const clone = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+// ==================== Store ====================
+
+/**
+ * Create a module object that stands in for @aws-sdk/client-dynamodb.
+ *
+ * `tables` maps table names to their key attributes and local indexes, e.g.
+ * `{ HydraTrackData: { keys: ['userId', 'sk'], indexes: { UpdatedAtIndex: 'updatedAt' } } }`.
+ * `pageSize` limits query pages so pagination code gets exercised.
+ */
+function createFakeDynamoDB({ tables, file = null, pageSize = 100 }) {
+    const data = {};
+    Object.keys(tables).forEach(name => {
+        data[name] = {};
+    });
+    if (file && fs.existsSync(file)) {
+        Object.assign(data, JSON.parse(fs.readFileSync(file, 'utf8')).tables || {});
+    }
+
+    const persist = () => {
+        if (file) fs.writeFileSync(file, JSON.stringify({ tables: data }, null, 2));
+    };
+
+    const tableOf = (name) => {
+        if (!tables[name]) throw new ValidationException(`Requested resource not found: ${name}`);
+        return { schema: tables[name], items: data[name] };
+    };
+
+    const keyOf = (schema, item) => schema.keys.map(k => scalar(item[k])).join('|');
+
+    const checkCondition = (input, existing) => {
+        if (input.ConditionExpression &&
+            !evaluateExpression(input.ConditionExpression, existing, input.ExpressionAttributeNames, input.ExpressionAttributeValues)) {
+            throw new ConditionalCheckFailedException();
+        }
+    };
+
+    const commands = {
+        GetItem(input) {
+            const { schema, items } = tableOf(input.TableName);
+            return { Item: clone(items[keyOf(schema, input.Key)]) };
+        },
+
+        PutItem(input) {
+            const { schema, items } = tableOf(input.TableName);
+            const key = keyOf(schema, input.Item);
+            checkCondition(input, items[key]);
+            items[key] = clone(input.Item);
+            persist();
+            return {};
+        },
+
+        DeleteItem(input) {
+            const { schema, items } = tableOf(input.TableName);
+            const key = keyOf(schema, input.Key);
+            checkCondition(input, items[key]);
+            delete items[key];
+            persist();
+            return {};
+        },
+
+        Query(input) {
+            const { schema, items } = tableOf(input.TableName);
+            const sortKey = input.IndexName ? schema.indexes[input.IndexName] : schema.keys[1];
+            const names = input.ExpressionAttributeNames;
+            const values = input.ExpressionAttributeValues;
+
+            let matches = Object.values(items)
+                .filter(item => evaluateExpression(input.KeyConditionExpression, item, names, values))
+                .filter(item => !sortKey || item[sortKey] !== undefined)
+                .sort((a, b) => {
+                    const x = scalar(a[sortKey]);
+                    const y = scalar(b[sortKey]);
+                    if (x === y) return keyOf(schema, a) < keyOf(schema, b) ? -1 : 1;
+                    return x < y ? -1 : 1;
+                });
+            if (input.ScanIndexForward === false) matches.reverse();
+
+            if (input.ExclusiveStartKey) {
+                const start = matches.findIndex(item => keyOf(schema, item) === keyOf(schema, input.ExclusiveStartKey));
+                matches = matches.slice(start + 1);
+            }
+
+            // Like DynamoDB, the limit applies before the filter
+            const limit = Math.min(input.Limit || Infinity, pageSize);
+            const page = matches.slice(0, limit);
+            const result = {
+                Items: clone(page.filter(item => !input.FilterExpression ||
+                    evaluateExpression(input.FilterExpression, item, names, values)))
+            };
+
+            if (matches.length > limit) {
+                const last = page[page.length - 1];
+                result.LastEvaluatedKey = {};
+                [...schema.keys, sortKey].forEach(k => {
+                    result.LastEvaluatedKey[k] = clone(last[k]);
+                });
+            }
+            result.Count = result.Items.length;
+            return result;
+        },
+
+        BatchWriteItem(input) {
+            const requests = Object.entries(input.RequestItems);
+            if (requests.reduce((sum, [, list]) => sum + list.length, 0) > 25) {
+                throw new ValidationException('Too many items requested for the BatchWriteItem call');
+            }
+
+            requests.forEach(([tableName, list]) => {
+                const { schema, items } = tableOf(tableName);
+                list.forEach(request => {
+                    if (request.PutRequest) {
+                        items[keyOf(schema, request.PutRequest.Item)] = clone(request.PutRequest.Item);
+                    } else if (request.DeleteRequest) {
+                        delete items[keyOf(schema, request.DeleteRequest.Key)];
+                    }
+                });
+            });
+            persist();
+            return { UnprocessedItems: {} };
+        }
+    };
+
+    const command = (name) => class {
+        constructor(input) {
+            this.name = name;
+            this.input = input;
+        }
+    };
+
+    class DynamoDBClient {
+        async send(cmd) {
+            return commands[cmd.name](cmd.input);
+        }
+    }
+
+    return {
+        DynamoDBClient,
+        GetItemCommand: command('GetItem'),
+        PutItemCommand: command('PutItem'),
+        DeleteItemCommand: command('DeleteItem'),
+        QueryCommand: command('Query'),
+        BatchWriteItemCommand: command('BatchWriteItem'),
+        // Raw items by table, for tests and debugging
+        data
+    };
+}
+
+module.exports = { createFakeDynamoDB, evaluateExpression, ConditionalCheckFailedException };
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * HydraTrack - Icon generator
+ * Draws the app icons in icons/: a white drop on the app gradient. Only
+ * Node built-ins are used, so there is nothing to install.
+ *
+ *   node dev/generate-icons.js
+ *
+ * Run it again after changing the drawing, and bump CACHE_VERSION in sw.js
+ * so installed copies pick up the new files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const OUT_DIR = path.join(__dirname, '..', 'icons');
+
+// Samples per pixel along each axis, for smooth edges
+const SUPERSAMPLE = 4;
+
+// Gradient from the top left to the bottom right, as in the manifest
+const GRADIENT_FROM = [0x00, 0xd4, 0xff];
+const GRADIENT_TO = [0x66, 0x7e, 0xea];
+const PLUS_COLOR = [0x00, 0x8c, 0xd9];
+
+// file: size, scale of the drop, background shape and badge
+const ICONS = {
+    'icon-192.png': { size: 192, drop: 0.62, background: 'rounded' },
+    'icon-512.png': { size: 512, drop: 0.62, background: 'rounded' },
+    // Full bleed, with the drop inside the 80% safe zone launchers keep
+    'icon-maskable-512.png': { size: 512, drop: 0.5, background: 'square' },
+    'apple-touch-icon.png': { size: 180, drop: 0.6, background: 'square' },
+    'favicon-32.png': { size: 32, drop: 0.7, background: 'rounded' },
+    'shortcut-log-96.png': { size: 96, drop: 0.7, background: 'rounded', badge: 'plus' }
+};
+
+// ==================== Shapes ====================
+// Coordinates run from -1 to 1 across the icon, y pointing down
+
+function insideRoundedSquare(x, y, radius) {
+    const dx = Math.max(Math.abs(x) - (1 - radius), 0);
+    const dy = Math.max(Math.abs(y) - (1 - radius), 0);
+    return dx * dx + dy * dy <= radius * radius;
+}
+
+// A circle with a cone on top whose sides touch it
+function insideDrop(x, y) {
+    const cy = 0.25;
+    const r = 0.5;
+    const tip = -0.75;
+    if (x * x + (y - cy) * (y - cy) <= r * r) return true;
+    // Tip to centre is twice the radius, so the sides are 30° off vertical
+    return y >= tip && y <= 0 && Math.abs(x) <= (y - tip) * Math.tan(Math.PI / 6);
+}
+
+function insidePlus(x, y) {
+    const arm = 0.28;
+    const width = 0.09;
+    const cy = 0.25;
+    return (Math.abs(x) <= arm && Math.abs(y - cy) <= width) ||
+        (Math.abs(x) <= width && Math.abs(y - cy) <= arm);
+}
+
+// ==================== Drawing ====================
+
+function samplePixel(x, y, icon) {
+    const inBackground = icon.background === 'square' || insideRoundedSquare(x, y, 0.36);
+    if (!inBackground) return null;
+
+    const dx = x / icon.drop;
+    const dy = y / icon.drop;
+    if (icon.badge === 'plus' && insidePlus(dx, dy)) return PLUS_COLOR;
+    if (insideDrop(dx, dy)) return [255, 255, 255];
+
+    const t = (x + y + 2) / 4;
+    return GRADIENT_FROM.map((from, i) => from + (GRADIENT_TO[i] - from) * t);
+}
+
+function drawIcon(icon) {
+    const { size } = icon;
+    const pixels = Buffer.alloc(size * size * 4);
+    const samples = SUPERSAMPLE * SUPERSAMPLE;
+
+    for (let py = 0; py < size; py++) {
+        for (let px = 0; px < size; px++) {
+            const sum = [0, 0, 0];
+            let covered = 0;
+            for (let sy = 0; sy < SUPERSAMPLE; sy++) {
+                for (let sx = 0; sx < SUPERSAMPLE; sx++) {
+                    const x = ((px + (sx + 0.5) / SUPERSAMPLE) / size) * 2 - 1;
+                    const y = ((py + (sy + 0.5) / SUPERSAMPLE) / size) * 2 - 1;
+                    const color = samplePixel(x, y, icon);
+                    if (!color) continue;
+                    covered++;
+                    color.forEach((c, i) => { sum[i] += c; });
+                }
+            }
+            const offset = (py * size + px) * 4;
+            if (covered > 0) {
+                sum.forEach((c, i) => { pixels[offset + i] = Math.round(c / covered); });
+            }
+            pixels[offset + 3] = Math.round((covered / samples) * 255);
+        }
+    }
+    return pixels;
+}
+
+// ==================== PNG ====================
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(zlib.crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+function encodePNG(size, pixels) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header[8] = 8; // bits per channel
+    header[9] = 6; // RGBA
+
+    // Every row starts with filter type 0 (none)
+    const rowLength = size * 4;
+    const raw = Buffer.alloc((rowLength + 1) * size);
+    for (let y = 0; y < size; y++) {
+        pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+if (require.main === module) {
+    fs.mkdirSync(OUT_DIR, { recursive: true });
+    Object.entries(ICONS).forEach(([file, icon]) => {
+        const png = encodePNG(icon.size, drawIcon(icon));
+        fs.writeFileSync(path.join(OUT_DIR, file), png);
+        console.log(`icons/${file} (${icon.size}×${icon.size}, ${png.length} bytes)`);
+    });
+}
+
+module.exports = { drawIcon, encodePNG, ICONS };
@@ -0,0 +1,69 @@
+/**
+ * HydraTrack - Local token signing
+ * Signs RS256 JWTs with a local key pair and publishes the public half as a
+ * JWKS, so the Lambda's verifyToken checks real signatures during development.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+function base64UrlEncode(data) {
+    return Buffer.from(data).toString('base64')
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Create an RSA signing key. With `file`, the private key is stored there and
+ * reused, so tokens handed out before a restart stay valid.
+ */
+function createSigningKey({ kid = 'local-key', file = null } = {}) {
+    let privateKey;
+    if (file && fs.existsSync(file)) {
+        privateKey = crypto.createPrivateKey({ key: JSON.parse(fs.readFileSync(file, 'utf8')), format: 'jwk' });
+    } else {
+        privateKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+        if (file) fs.writeFileSync(file, JSON.stringify(privateKey.export({ format: 'jwk' })));
+    }
+
+    const { n, e } = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+    return { kid, privateKey, jwk: { kty: 'RSA', kid, alg: 'RS256', use: 'sig', n, e } };
+}
+
+function getJWKS(...keys) {
+    return { keys: keys.map(key => key.jwk) };
+}
+
+function signToken(key, claims, { header = {} } = {}) {
+    const head = base64UrlEncode(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: key.kid, ...header }));
+    const body = base64UrlEncode(JSON.stringify(claims));
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(`${head}.${body}`), key.privateKey);
+    return `${head}.${body}.${base64UrlEncode(signature)}`;
+}
+
+function decodeToken(token) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) return null;
+    try {
+        return JSON.parse(Buffer.from(parts[1], 'base64').toString());
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check a token signed by `key`. Returns its claims, or null when the
+ * signature does not match or it has expired.
+ */
+function verifyLocalToken(key, token) {
+    const parts = String(token).split('.');
+    if (parts.length !== 3) return null;
+
+    const signature = Buffer.from(parts[2], 'base64');
+    const valid = crypto.verify('RSA-SHA256', Buffer.from(`${parts[0]}.${parts[1]}`),
+        crypto.createPublicKey(key.privateKey), signature);
+    const claims = valid ? decodeToken(token) : null;
+    if (!claims || (claims.exp && Date.now() / 1000 > claims.exp)) return null;
+    return claims;
+}
+
+module.exports = { createSigningKey, getJWKS, signToken, decodeToken, verifyLocalToken, base64UrlEncode };
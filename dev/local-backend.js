@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+/**
+ * HydraTrack - Local backend
+ * Serves the app together with a local copy of the backend: the Lambda from
+ * backend-stack.yaml on an in-memory (or file-backed) DynamoDB, and a small
+ * Cognito stand-in whose tokens the Lambda verifies against a local JWKS.
+ *
+ *   node dev/local-backend.js [--port 8787] [--data /tmp/hydratrack-data]
+ *
+ * Open http://localhost:8787 and sign up; confirmation codes are printed
+ * here. Without --data everything is forgotten on exit.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createFakeDynamoDB } = require('./fake-dynamodb');
+const { createSigningKey, getJWKS } = require('./jwt');
+const { LocalCognito, CognitoError } = require('./local-cognito');
+const { loadHandler } = require('./lambda-loader');
+
+const ROOT = path.join(__dirname, '..');
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+
+const LOCAL_POOL = {
+    REGION: 'local',
+    USER_POOL_ID: 'local_pool',
+    CLIENT_ID: 'local-client'
+};
+
+// Key schemas of the tables in backend-stack.yaml
+const TABLES = {
+    HydraTrackUsers: { keys: ['userId'] },
+    HydraTrackData: { keys: ['userId', 'sk'], indexes: { UpdatedAtIndex: 'updatedAt' } }
+};
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// ==================== Backend ====================
+
+/**
+ * Wire up the store, the token issuer and the handler. `dataDir` keeps
+ * users, items and the signing key between runs.
+ */
+function createLocalBackend({ dataDir = null, log = console.log } = {}) {
+    const file = (name) => dataDir ? path.join(dataDir, name) : null;
+    if (dataDir) fs.mkdirSync(dataDir, { recursive: true });
+
+    const key = createSigningKey({ file: file('signing-key.json') });
+    const dynamodb = createFakeDynamoDB({ tables: TABLES, file: file('dynamodb.json') });
+    const cognito = new LocalCognito({
+        key,
+        region: LOCAL_POOL.REGION,
+        userPoolId: LOCAL_POOL.USER_POOL_ID,
+        clientId: LOCAL_POOL.CLIENT_ID,
+        file: file('users.json'),
+        log
+    });
+    const handler = loadHandler({
+        dynamodb,
+        jwks: getJWKS(key),
+        env: {
+            TABLE_NAME: 'HydraTrackUsers',
+            DATA_TABLE_NAME: 'HydraTrackData',
+            ...LOCAL_POOL
+        }
+    });
+
+    return { key, dynamodb, cognito, handler };
+}
+
+/**
+ * Turn a Node request into the API Gateway HTTP API (payload 2.0) event the
+ * Lambda receives in production.
+ */
+function toLambdaEvent(req, url, body) {
+    const headers = {};
+    Object.entries(req.headers).forEach(([name, value]) => {
+        headers[name] = Array.isArray(value) ? value.join(',') : value;
+    });
+
+    const query = {};
+    url.searchParams.forEach((value, name) => {
+        query[name] = value;
+    });
+
+    return {
+        version: '2.0',
+        routeKey: '$default',
+        rawPath: url.pathname,
+        rawQueryString: url.search.slice(1),
+        headers,
+        queryStringParameters: Object.keys(query).length > 0 ? query : undefined,
+        requestContext: {
+            http: { method: req.method, path: url.pathname, sourceIp: req.socket.remoteAddress },
+            requestId: String(Date.now()),
+            timeEpoch: Date.now()
+        },
+        body: body || undefined,
+        isBase64Encoded: false
+    };
+}
+
+// The values app.js reads from window.HYDRATRACK_CONFIG
+function configScript(origin) {
+    const config = {
+        API_URL: origin,
+        COGNITO_ENDPOINT: `${origin}/cognito`,
+        AUTH_FLOW: 'USER_PASSWORD_AUTH',
+        ...LOCAL_POOL
+    };
+    return `window.HYDRATRACK_CONFIG = ${JSON.stringify(config, null, 4)};\n`;
+}
+
+// ==================== Server ====================
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+function send(res, statusCode, body, headers = {}) {
+    res.writeHead(statusCode, headers);
+    res.end(body);
+}
+
+function sendJSON(res, statusCode, data, headers = {}) {
+    send(res, statusCode, JSON.stringify(data), { 'Content-Type': 'application/json', ...headers });
+}
+
+function serveStatic(res, pathname) {
+    const relative = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+    const filePath = path.resolve(ROOT, relative);
+    const hidden = relative.split('/').some(part => part.startsWith('.'));
+
+    if (!filePath.startsWith(ROOT + path.sep) || hidden || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        return send(res, 404, 'Not found', { 'Content-Type': 'text/plain' });
+    }
+    send(res, 200, fs.readFileSync(filePath), {
+        'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+        'Cache-Control': 'no-cache'
+    });
+}
+
+async function handleCognito(backend, req, res, body) {
+    const cors = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Target,X-Amz-User-Agent',
+        'Access-Control-Allow-Methods': 'POST,OPTIONS'
+    };
+    if (req.method === 'OPTIONS') return send(res, 200, '', cors);
+
+    const headers = { ...cors, 'Content-Type': 'application/x-amz-json-1.1' };
+    const target = String(req.headers['x-amz-target'] || '').split('.').pop();
+    try {
+        const result = backend.cognito.handle(target, JSON.parse(body || '{}'));
+        send(res, 200, JSON.stringify(result), headers);
+    } catch (err) {
+        if (!(err instanceof CognitoError)) throw err;
+        send(res, err.statusCode, JSON.stringify({ __type: err.type, message: err.message }), headers);
+    }
+}
+
+async function handleApi(backend, req, res, url, body) {
+    const result = await backend.handler(toLambdaEvent(req, url, body));
+    send(res, result.statusCode, result.body || '', result.headers || {});
+}
+
+const API_PATHS = /^\/(profile|entries|state)(\/|$)/;
+
+function createServer(backend) {
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        try {
+            const body = await readBody(req);
+
+            if (url.pathname === '/config.js') {
+                return send(res, 200, configScript(`http://${req.headers.host}`), {
+                    'Content-Type': CONTENT_TYPES['.js'],
+                    'Cache-Control': 'no-cache'
+                });
+            }
+            if (url.pathname === '/cognito') {
+                return await handleCognito(backend, req, res, body);
+            }
+            if (url.pathname === `/${LOCAL_POOL.USER_POOL_ID}/.well-known/jwks.json`) {
+                return sendJSON(res, 200, getJWKS(backend.key));
+            }
+            // Test tokens without the sign-up dance: POST /dev/token {"sub": "..."}
+            if (url.pathname === '/dev/token' && req.method === 'POST') {
+                return sendJSON(res, 200, { token: backend.cognito.mintToken(JSON.parse(body || '{}')) });
+            }
+            if (API_PATHS.test(url.pathname)) {
+                return await handleApi(backend, req, res, url, body);
+            }
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                return sendJSON(res, 405, { error: 'Method not allowed' });
+            }
+            serveStatic(res, url.pathname);
+        } catch (err) {
+            console.error('Local backend error:', err);
+            if (!res.headersSent) sendJSON(res, 500, { error: err.message });
+        }
+    });
+}
+
+function parseArgs(argv) {
+    const options = { port: 8787, dataDir: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = parseInt(argv[++i], 10);
+        else if (argv[i] === '--data') options.dataDir = path.resolve(argv[++i]);
+        else if (argv[i] === '--help') options.help = true;
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log('Usage: node dev/local-backend.js [--port 8787] [--data <dir>]');
+        process.exit(0);
+    }
+
+    const backend = createLocalBackend({ dataDir: options.dataDir });
+    createServer(backend).listen(options.port, () => {
+        console.log(`💧 HydraTrack local backend on http://localhost:${options.port}`);
+        console.log(options.dataDir ? `   Data is kept in ${options.dataDir}` : '   Data is kept in memory');
+    });
+}
+
+module.exports = { createLocalBackend, createServer, toLambdaEvent, LOCAL_POOL, TABLES };
@@ -0,0 +1,310 @@
+/**
+ * HydraTrack - Local Cognito
+ * Answers the Cognito user pool calls amazon-cognito-identity-js makes
+ * (sign up, confirm, sign in with USER_PASSWORD_AUTH, refresh, password
+ * reset and change, account deletion) and issues tokens signed by the local
+ * key. Confirmation and reset codes are printed to the console instead of
+ * being emailed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { signToken, verifyLocalToken } = require('./jwt');
+
+const ID_TOKEN_LIFETIME = 3600;
+
+class CognitoError extends Error {
+    constructor(type, message) {
+        super(message);
+        this.type = type;
+        this.statusCode = 400;
+    }
+}
+
+class LocalCognito {
+    constructor({ key, region, userPoolId, clientId, file = null, log = console.log }) {
+        this.key = key;
+        this.region = region;
+        this.userPoolId = userPoolId;
+        this.clientId = clientId;
+        this.file = file;
+        this.log = log;
+        this.users = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).users : {};
+    }
+
+    get issuer() {
+        return `https://cognito-idp.${this.region}.amazonaws.com/${this.userPoolId}`;
+    }
+
+    save() {
+        if (this.file) fs.writeFileSync(this.file, JSON.stringify({ users: this.users }, null, 2));
+    }
+
+    // ==================== Requests ====================
+
+    /**
+     * Run one Cognito API call. `target` is the operation name from the
+     * X-Amz-Target header, e.g. 'InitiateAuth'.
+     */
+    handle(target, params) {
+        const operations = {
+            SignUp: () => this.signUp(params),
+            ConfirmSignUp: () => this.confirmSignUp(params),
+            ResendConfirmationCode: () => this.resendConfirmationCode(params),
+            InitiateAuth: () => this.initiateAuth(params),
+            GetUser: () => this.getUser(params),
+            ForgotPassword: () => this.forgotPassword(params),
+            ConfirmForgotPassword: () => this.confirmForgotPassword(params),
+            ChangePassword: () => this.changePassword(params),
+            DeleteUser: () => this.deleteUser(params)
+        };
+
+        if (!operations[target]) {
+            throw new CognitoError('InvalidParameterException', `${target} is not supported by the local backend`);
+        }
+        if (params.ClientId && params.ClientId !== this.clientId) {
+            throw new CognitoError('ResourceNotFoundException', 'User pool client does not exist.');
+        }
+        return operations[target]();
+    }
+
+    signUp({ Username, Password, UserAttributes = [] }) {
+        const username = this.normalize(Username);
+        if (this.users[username]) {
+            throw new CognitoError('UsernameExistsException', 'An account with the given email already exists.');
+        }
+        this.checkPassword(Password);
+
+        const attributes = {};
+        UserAttributes.forEach(({ Name, Value }) => {
+            attributes[Name] = Value;
+        });
+
+        this.users[username] = {
+            sub: crypto.randomUUID(),
+            email: attributes.email || username,
+            password: Password,
+            confirmed: false,
+            code: null,
+            refreshTokens: [],
+            createdAt: new Date().toISOString()
+        };
+        const delivery = this.sendCode(username);
+        this.save();
+
+        return {
+            UserConfirmed: false,
+            UserSub: this.users[username].sub,
+            CodeDeliveryDetails: delivery
+        };
+    }
+
+    confirmSignUp({ Username, ConfirmationCode }) {
+        const user = this.findUser(Username);
+        if (user.confirmed) {
+            throw new CognitoError('NotAuthorizedException', 'User cannot be confirmed. Current status is CONFIRMED');
+        }
+        if (ConfirmationCode !== user.code) {
+            throw new CognitoError('CodeMismatchException', 'Invalid verification code provided, please try again.');
+        }
+
+        user.confirmed = true;
+        user.code = null;
+        this.save();
+        return {};
+    }
+
+    resendConfirmationCode({ Username }) {
+        const user = this.findUser(Username);
+        if (user.confirmed) {
+            throw new CognitoError('InvalidParameterException', 'User is already confirmed.');
+        }
+        const delivery = this.sendCode(this.normalize(Username));
+        this.save();
+        return { CodeDeliveryDetails: delivery };
+    }
+
+    initiateAuth({ AuthFlow, AuthParameters = {} }) {
+        if (AuthFlow === 'USER_PASSWORD_AUTH') {
+            const user = this.users[this.normalize(AuthParameters.USERNAME)];
+            if (!user || user.password !== AuthParameters.PASSWORD) {
+                throw new CognitoError('NotAuthorizedException', 'Incorrect username or password.');
+            }
+            if (!user.confirmed) {
+                throw new CognitoError('UserNotConfirmedException', 'User is not confirmed.');
+            }
+
+            const refreshToken = crypto.randomBytes(32).toString('hex');
+            user.refreshTokens.push(refreshToken);
+            this.save();
+            return {
+                ChallengeParameters: {},
+                AuthenticationResult: { ...this.issueTokens(user), RefreshToken: refreshToken }
+            };
+        }
+
+        if (AuthFlow === 'REFRESH_TOKEN_AUTH' || AuthFlow === 'REFRESH_TOKEN') {
+            const user = Object.values(this.users)
+                .find(u => u.refreshTokens.includes(AuthParameters.REFRESH_TOKEN));
+            if (!user) {
+                throw new CognitoError('NotAuthorizedException', 'Invalid Refresh Token');
+            }
+            return { ChallengeParameters: {}, AuthenticationResult: this.issueTokens(user) };
+        }
+
+        throw new CognitoError('InvalidParameterException',
+            `Auth flow ${AuthFlow} is not supported locally. Set AUTH_FLOW to USER_PASSWORD_AUTH.`);
+    }
+
+    getUser({ AccessToken }) {
+        const user = this.userFromAccessToken(AccessToken);
+        return {
+            Username: user.sub,
+            UserAttributes: [
+                { Name: 'sub', Value: user.sub },
+                { Name: 'email', Value: user.email },
+                { Name: 'email_verified', Value: 'true' }
+            ]
+        };
+    }
+
+    forgotPassword({ Username }) {
+        const user = this.findUser(Username);
+        if (!user.confirmed) {
+            throw new CognitoError('InvalidParameterException',
+                'Cannot reset password for the user as there is no registered/verified email or phone_number');
+        }
+        const delivery = this.sendCode(this.normalize(Username), 'Password reset code');
+        this.save();
+        return { CodeDeliveryDetails: delivery };
+    }
+
+    confirmForgotPassword({ Username, ConfirmationCode, Password }) {
+        const user = this.findUser(Username);
+        if (!user.code || ConfirmationCode !== user.code) {
+            throw new CognitoError('CodeMismatchException', 'Invalid verification code provided, please try again.');
+        }
+        this.checkPassword(Password);
+
+        user.password = Password;
+        user.code = null;
+        this.save();
+        return {};
+    }
+
+    changePassword({ PreviousPassword, ProposedPassword, AccessToken }) {
+        const user = this.userFromAccessToken(AccessToken);
+        if (user.password !== PreviousPassword) {
+            throw new CognitoError('NotAuthorizedException', 'Incorrect username or password.');
+        }
+        this.checkPassword(ProposedPassword);
+
+        user.password = ProposedPassword;
+        this.save();
+        return {};
+    }
+
+    deleteUser({ AccessToken }) {
+        const user = this.userFromAccessToken(AccessToken);
+        const username = Object.keys(this.users).find(name => this.users[name] === user);
+        delete this.users[username];
+        this.save();
+        return {};
+    }
+
+    // ==================== Users & Tokens ====================
+
+    normalize(username) {
+        return String(username || '').trim().toLowerCase();
+    }
+
+    findUser(username) {
+        const user = this.users[this.normalize(username)];
+        if (!user) {
+            throw new CognitoError('UserNotFoundException', 'Username/client id combination not found.');
+        }
+        return user;
+    }
+
+    userFromAccessToken(token) {
+        const claims = verifyLocalToken(this.key, token);
+        const user = claims && claims.token_use === 'access' &&
+            Object.values(this.users).find(u => u.sub === claims.sub);
+        if (!user) {
+            throw new CognitoError('NotAuthorizedException', 'Invalid Access Token');
+        }
+        return user;
+    }
+
+    // Same rules as the PasswordPolicy in backend-stack.yaml
+    checkPassword(password) {
+        const value = String(password || '');
+        const problems = [];
+        if (value.length < 8) problems.push('Password not long enough');
+        if (!/[a-z]/.test(value)) problems.push('Password must have lowercase characters');
+        if (!/[0-9]/.test(value)) problems.push('Password must have numeric characters');
+        if (problems.length > 0) {
+            throw new CognitoError('InvalidPasswordException', `Password did not conform with policy: ${problems[0]}`);
+        }
+    }
+
+    sendCode(username, label = 'Confirmation code') {
+        const user = this.users[username];
+        user.code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+        this.log(`📧 ${label} for ${user.email}: ${user.code}`);
+        return { Destination: user.email, DeliveryMedium: 'EMAIL', AttributeName: 'email' };
+    }
+
+    issueTokens(user) {
+        const now = Math.floor(Date.now() / 1000);
+        const common = {
+            sub: user.sub,
+            iss: this.issuer,
+            auth_time: now,
+            iat: now,
+            exp: now + ID_TOKEN_LIFETIME
+        };
+
+        return {
+            IdToken: this.createIdToken(user, common),
+            AccessToken: signToken(this.key, {
+                ...common,
+                token_use: 'access',
+                client_id: this.clientId,
+                scope: 'aws.cognito.signin.user.admin',
+                username: user.sub
+            }),
+            ExpiresIn: ID_TOKEN_LIFETIME,
+            TokenType: 'Bearer'
+        };
+    }
+
+    createIdToken(user, claims) {
+        return signToken(this.key, {
+            aud: this.clientId,
+            token_use: 'id',
+            email: user.email,
+            email_verified: true,
+            'cognito:username': user.sub,
+            ...claims
+        });
+    }
+
+    /**
+     * Mint an id token directly, e.g. for curl or tests. `overrides` replaces
+     * any claim, so expired or wrong-issuer tokens can be produced on purpose.
+     */
+    mintToken({ sub = 'local-user', email = 'local@example.com', ...overrides } = {}) {
+        const now = Math.floor(Date.now() / 1000);
+        return this.createIdToken({ sub, email }, {
+            sub,
+            iss: this.issuer,
+            auth_time: now,
+            iat: now,
+            exp: now + ID_TOKEN_LIFETIME,
+            ...overrides
+        });
+    }
+}
+
+module.exports = { LocalCognito, CognitoError };
@@ -0,0 +1,233 @@
+/**
+ * HydraTrack - Service worker
+ * Keeps a copy of the app shell so HydraTrack opens and works offline, and
+ * shows hydration reminders when they are due. Something has to wake the
+ * worker to check: an open tab does every minute, and with no tab open only
+ * periodic background sync can, which just installed apps in Chromium get.
+ * Drinks logged offline wait in the sync outbox as usual.
+ *
+ * Bump CACHE_VERSION whenever a precached file changes. The new worker then
+ * installs next to the old one and the page offers to reload into it.
+ */
+
+importScripts('core.js');
+
+const CACHE_VERSION = 'v7';
+const CACHE_PREFIX = 'hydratrack-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+const FONT_CACHE_NAME = `${CACHE_PREFIX}fonts`;
+const REMINDER_CACHE_NAME = `${CACHE_PREFIX}reminders`;
+const KEPT_CACHES = [CACHE_NAME, FONT_CACHE_NAME, REMINDER_CACHE_NAME];
+
+const REMINDER_TAG = 'hydration-reminder';
+const REMINDER_SCHEDULE_URL = 'reminder-schedule';
+
+const COGNITO_SDK_URL = 'https://cdn.jsdelivr.net/npm/amazon-cognito-identity-js@6/dist/amazon-cognito-identity.min.js';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'style.css',
+    'config.js',
+    'core.js',
+    'app.js',
+    'manifest.json',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'icons/apple-touch-icon.png',
+    'icons/favicon-32.png',
+    'icons/shortcut-log-96.png',
+    COGNITO_SDK_URL
+];
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// ==================== Lifecycle ====================
+
+self.addEventListener('install', (event) => {
+    // 'reload' skips the HTTP cache, so a new version never precaches stale files
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })))
+        )
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(CACHE_PREFIX) && !KEPT_CACHES.includes(name))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+
+    if (message.type === 'SKIP_WAITING') {
+        // The user accepted the update prompt
+        self.skipWaiting();
+    } else if (message.type === 'SCHEDULE_REMINDERS') {
+        event.waitUntil(updateSchedule(schedule => Reminders.updateSchedule(schedule, message.schedule)));
+    } else if (message.type === 'CHECK_REMINDERS') {
+        event.waitUntil(checkReminders());
+    }
+});
+
+// ==================== Requests ====================
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Shortcuts open index.html with a query string, so ignore it for pages
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('index.html', { cacheName: CACHE_NAME })
+                .then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+        return;
+    }
+
+    // The API and Cognito live elsewhere and must always hit the network
+    if (url.origin !== self.location.origin && request.url !== COGNITO_SDK_URL) return;
+
+    // Precached files from the cache, anything else from the network
+    event.respondWith(
+        caches.match(request, { cacheName: CACHE_NAME })
+            .then(cached => cached || fetch(request))
+    );
+});
+
+// Fonts are not worth an update prompt: serve what we have, refresh it behind
+function staleWhileRevalidate(request) {
+    return caches.open(FONT_CACHE_NAME).then(cache =>
+        cache.match(request).then(cached => {
+            const network = fetch(request)
+                .then(response => {
+                    if (response.ok || response.type === 'opaque') {
+                        cache.put(request, response.clone());
+                    }
+                    return response;
+                })
+                .catch(() => cached);
+            return cached || network;
+        })
+    );
+}
+
+// ==================== Reminders ====================
+// Workers have no localStorage and are stopped when idle, so the schedule is
+// kept in a cache and checked whenever something wakes the worker: an open
+// tab every minute, or periodic background sync for installed apps.
+
+let scheduleQueue = Promise.resolve();
+
+// Changes run one at a time, so two wake-ups can't both show a reminder
+function updateSchedule(change) {
+    const updated = scheduleQueue
+        .then(readSchedule)
+        .then(change)
+        .then(writeSchedule);
+    scheduleQueue = updated.catch(err => console.error('Reminder schedule update failed:', err));
+    return updated;
+}
+
+function readSchedule() {
+    return caches.open(REMINDER_CACHE_NAME)
+        .then(cache => cache.match(REMINDER_SCHEDULE_URL))
+        .then(response => response ? response.json() : null);
+}
+
+function writeSchedule(schedule) {
+    if (!schedule) return null;
+    return caches.open(REMINDER_CACHE_NAME)
+        .then(cache => cache.put(REMINDER_SCHEDULE_URL, new Response(JSON.stringify(schedule))))
+        .then(() => schedule);
+}
+
+function checkReminders() {
+    let show = false;
+    return updateSchedule(schedule => {
+        const result = Reminders.advance(schedule);
+        show = result.show;
+        return result.schedule;
+    }).then(schedule => show && showReminder(schedule));
+}
+
+function showReminder(schedule) {
+    const body = Reminders.getMessage(schedule);
+    // The drink size logged most often, as worked out by the app
+    const logAmount = schedule.usualAmount || 250;
+
+    // Reusing the tag replaces an unanswered reminder instead of stacking
+    const notification = self.registration.showNotification('💧 Time to Hydrate!', {
+        body,
+        icon: 'icons/icon-192.png',
+        tag: REMINDER_TAG,
+        renotify: true,
+        data: { logAmount },
+        actions: [
+            { action: 'log', title: `Log ${logAmount}ml` },
+            { action: 'snooze', title: `Snooze ${Reminders.SNOOZE_MINUTES} min` }
+        ]
+    }).catch(err => console.error('Could not show reminder:', err));
+
+    // The open app adds its own banner and sound
+    const inApp = self.clients.matchAll({ type: 'window' }).then(windows => {
+        const visible = windows.find(client => client.visibilityState === 'visible');
+        if (visible) visible.postMessage({ type: 'REMINDER', body });
+    });
+
+    return Promise.all([notification, inApp]);
+}
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === REMINDER_TAG) {
+        event.waitUntil(checkReminders());
+    }
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+
+    if (event.action === 'snooze') {
+        event.waitUntil(
+            updateSchedule(schedule => schedule && Reminders.snooze(schedule))
+                .then(schedule => schedule && notifyApp({ type: 'SNOOZED', until: schedule.snoozedUntil }))
+        );
+        return;
+    }
+    const { logAmount } = event.notification.data || {};
+    event.waitUntil(openApp(event.action === 'log' ? logAmount || 250 : null));
+});
+
+// Open tabs save the snooze, so it shows in the app and survives a new schedule
+function notifyApp(message) {
+    return self.clients.matchAll({ type: 'window' })
+        .then(windows => windows.forEach(client => client.postMessage(message)));
+}
+
+// The app logs the drink with addWater, exactly like a tap on its buttons
+function openApp(logAmount) {
+    return self.clients.matchAll({ type: 'window' }).then(windows => {
+        const client = windows.find(c => c.focused) || windows[0];
+        if (!client) {
+            return self.clients.openWindow(logAmount ? `index.html?action=log&amount=${logAmount}` : 'index.html');
+        }
+        if (logAmount) {
+            client.postMessage({ type: 'LOG_DRINK', amount: logAmount });
+        }
+        return client.focus();
+    });
+}
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Achievements } = require('../core');
+const { withTimeZone } = require('./helpers/clock');
+const { createState, drink } = require('./helpers/state');
+
+function unlockedIds(state) {
+    return Achievements.findNewlyUnlocked(state).map(a => a.id);
+}
+
+test('a fresh state unlocks nothing', () => {
+    assert.deepEqual(unlockedIds(createState()), []);
+});
+
+test('ids are unique and every achievement gives XP', () => {
+    const ids = Achievements.DEFINITIONS.map(a => a.id);
+    assert.equal(new Set(ids).size, ids.length);
+    Achievements.DEFINITIONS.forEach(a => assert.ok(a.xp > 0, a.id));
+});
+
+test('stats based achievements unlock at their thresholds', () => {
+    const state = createState({
+        streak: 7,
+        level: 5,
+        stats: { totalDays: 12, totalWater: 50000, perfectDays: 10, bestStreak: 7, glassesCount: 1 }
+    });
+
+    assert.deepEqual(unlockedIds(state).sort(), [
+        'first_drop', 'getting_started', 'hydration_habit', 'week_warrior',
+        'ocean_drinker', 'river_runner', 'level_5', 'perfectionist'
+    ].sort());
+
+    state.streak = 6;
+    state.stats.totalWater = 49999;
+    state.stats.perfectDays = 9;
+    assert.ok(!unlockedIds(state).includes('week_warrior'));
+    assert.ok(!unlockedIds(state).includes('river_runner'));
+    assert.ok(!unlockedIds(state).includes('perfectionist'));
+});
+
+test('unlocked achievements are not reported again', () => {
+    const state = createState({
+        stats: { totalDays: 1, totalWater: 250, perfectDays: 0, bestStreak: 0, glassesCount: 1 },
+        achievements: { first_drop: { unlockedAt: '2024-05-10T08:00:00.000Z' } }
+    });
+    assert.deepEqual(unlockedIds(state), []);
+});
+
+test('Liter Club needs a single drink of 1L', () => {
+    const state = createState({ history: [drink('2024-05-10T12:00:00', 999)] });
+    assert.ok(!unlockedIds(state).includes('liter_club'));
+
+    state.history.push(drink('2024-05-10T13:00:00', 1000));
+    assert.ok(unlockedIds(state).includes('liter_club'));
+});
+
+test('Early Bird and Night Owl use the local time of the drink', () => {
+    // 05:30 UTC is 01:30 in New York but 14:30 in Tokyo
+    const early = createState({ history: [drink('2024-06-01T05:30:00Z')] });
+    // 02:30 UTC is 22:30 the evening before in New York, 11:30 in Tokyo
+    const late = createState({ history: [drink('2024-06-01T02:30:00Z')] });
+
+    withTimeZone('America/New_York', () => {
+        assert.ok(unlockedIds(early).includes('early_bird'));
+        assert.ok(unlockedIds(late).includes('night_owl'));
+    });
+
+    withTimeZone('Asia/Tokyo', () => {
+        assert.ok(!unlockedIds(early).includes('early_bird'));
+        assert.ok(!unlockedIds(late).includes('night_owl'));
+    });
+});
+
+test('8 AM and 10 PM are the exact boundaries', () => {
+    withTimeZone('UTC', () => {
+        assert.ok(unlockedIds(createState({ history: [drink('2024-06-01T07:59:59Z')] })).includes('early_bird'));
+        assert.ok(!unlockedIds(createState({ history: [drink('2024-06-01T08:00:00Z')] })).includes('early_bird'));
+        assert.ok(!unlockedIds(createState({ history: [drink('2024-06-01T21:59:59Z')] })).includes('night_owl'));
+        assert.ok(unlockedIds(createState({ history: [drink('2024-06-01T22:00:00Z')] })).includes('night_owl'));
+    });
+});
+
+test('achievements the data no longer supports are reported as unearned', () => {
+    const state = createState({
+        streak: 0,
+        stats: { totalDays: 3, totalWater: 6000, perfectDays: 3, bestStreak: 3, glassesCount: 12 },
+        achievements: {
+            first_drop: { unlockedAt: '2024-05-10T08:00:00.000Z' },
+            hydration_habit: { unlockedAt: '2024-05-12T20:00:00.000Z' },
+            ocean_drinker: { unlockedAt: '2024-05-12T21:00:00.000Z' }
+        }
+    });
+
+    // A broken streak keeps its badge; the best streak earned it
+    assert.deepEqual(Achievements.findUnearned(state).map(a => a.id), ['ocean_drinker']);
+
+    state.stats.bestStreak = 2;
+    assert.deepEqual(Achievements.findUnearned(state).map(a => a.id).sort(), ['hydration_habit', 'ocean_drinker']);
+});
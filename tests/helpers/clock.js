@@ -0,0 +1,66 @@
+/**
+ * HydraTrack - Test helpers for time
+ * A fake clock that replaces the global Date, and a way to run code in a
+ * given time zone. Run the tests with: node --test tests/
+ */
+
+const RealDate = Date;
+
+/**
+ * Freeze "now" at `start` (anything `new Date()` accepts; strings without a
+ * zone are local time). Call restore() when done.
+ */
+function useFakeClock(start) {
+    let now = new RealDate(start).getTime();
+
+    class FakeDate extends RealDate {
+        constructor(...args) {
+            if (args.length === 0) {
+                super(now);
+            } else {
+                super(...args);
+            }
+        }
+
+        static now() {
+            return now;
+        }
+    }
+
+    global.Date = FakeDate;
+
+    return {
+        tick(ms) {
+            now += ms;
+        },
+        set(time) {
+            now = new RealDate(time).getTime();
+        },
+        restore() {
+            global.Date = RealDate;
+        }
+    };
+}
+
+/**
+ * Run `fn` with the process time zone set to `timeZone`, e.g.
+ * 'America/New_York'. Node picks up TZ changes immediately.
+ */
+function withTimeZone(timeZone, fn) {
+    const previous = process.env.TZ;
+    process.env.TZ = timeZone;
+    try {
+        return fn();
+    } finally {
+        if (previous === undefined) {
+            delete process.env.TZ;
+        } else {
+            process.env.TZ = previous;
+        }
+    }
+}
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+module.exports = { useFakeClock, withTimeZone, HOUR, DAY };
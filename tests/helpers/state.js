@@ -0,0 +1,48 @@
+/**
+ * HydraTrack - Test helpers for state
+ * Builds the small states the core logic works on.
+ */
+
+let nextId = 1;
+
+function createState(overrides = {}) {
+    return {
+        schemaVersion: 4,
+        currentIntake: 0,
+        dailyGoal: 2000,
+        goalHistory: [{ from: '1970-01-01', goal: 2000 }],
+        xp: 0,
+        totalXp: 0,
+        level: 1,
+        streak: 0,
+        lastDrinkDate: null,
+        history: [],
+        activities: [],
+        achievements: {},
+        deletedEntries: {},
+        fieldTimestamps: {},
+        settings: { soundEnabled: true, startTime: '08:00', endTime: '22:00' },
+        stats: { totalDays: 0, totalWater: 0, perfectDays: 0, bestStreak: 0, glassesCount: 0 },
+        ...overrides
+    };
+}
+
+/**
+ * A drink logged at `when` (local time unless it names a zone), the way
+ * addWater records it.
+ */
+function drink(when, amount = 250, extra = {}) {
+    const time = new Date(when);
+    return {
+        id: `d${nextId++}`,
+        amount,
+        beverage: 'water',
+        hydration: amount,
+        timestamp: time.toISOString(),
+        date: time.toDateString(),
+        deviceId: 'test',
+        ...extra
+    };
+}
+
+module.exports = { createState, drink };
@@ -0,0 +1,355 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadLambda } = require('../dev/lambda-loader');
+const { createFakeDynamoDB } = require('../dev/fake-dynamodb');
+const { createSigningKey, getJWKS, signToken, base64UrlEncode } = require('../dev/jwt');
+const { TABLES } = require('../dev/local-backend');
+
+const REGION = 'eu-west-1';
+const USER_POOL_ID = 'eu-west-1_TestPool';
+const ISSUER = `https://cognito-idp.${REGION}.amazonaws.com/${USER_POOL_ID}`;
+
+const key = createSigningKey({ kid: 'test-key' });
+const dynamodb = createFakeDynamoDB({ tables: TABLES });
+const lambda = loadLambda({
+    dynamodb,
+    jwks: getJWKS(key),
+    env: {
+        TABLE_NAME: 'HydraTrackUsers',
+        DATA_TABLE_NAME: 'HydraTrackData',
+        USER_POOL_ID,
+        REGION
+    }
+});
+
+function claims(overrides = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    return { sub: 'user-1', iss: ISSUER, token_use: 'id', iat: now, exp: now + 3600, ...overrides };
+}
+
+function request(method, path, token, body) {
+    return lambda.handler({
+        rawPath: path,
+        headers: token === undefined ? {} : { authorization: token },
+        requestContext: { http: { method } },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+}
+
+// Silence the expected "Token verification failed" logs
+test.beforeEach((t) => {
+    t.mock.method(console, 'error', () => {});
+});
+
+// ==================== verifyToken ====================
+
+test('a valid token returns its claims', async () => {
+    const payload = await lambda.verifyToken(signToken(key, claims()));
+    assert.equal(payload.sub, 'user-1');
+    assert.equal(payload.iss, ISSUER);
+});
+
+test('the Bearer prefix is accepted', async () => {
+    assert.ok(await lambda.verifyToken(`Bearer ${signToken(key, claims())}`));
+});
+
+test('an expired token is rejected', async () => {
+    const past = Math.floor(Date.now() / 1000) - 60;
+    assert.equal(await lambda.verifyToken(signToken(key, claims({ exp: past }))), null);
+});
+
+test('a token from another user pool or region is rejected', async () => {
+    const otherPool = `https://cognito-idp.${REGION}.amazonaws.com/eu-west-1_Other`;
+    const otherRegion = `https://cognito-idp.us-east-1.amazonaws.com/${USER_POOL_ID}`;
+    assert.equal(await lambda.verifyToken(signToken(key, claims({ iss: otherPool }))), null);
+    assert.equal(await lambda.verifyToken(signToken(key, claims({ iss: otherRegion }))), null);
+    assert.equal(await lambda.verifyToken(signToken(key, claims({ iss: undefined }))), null);
+});
+
+test('a token signed with another key is rejected', async () => {
+    // Same kid, so only the signature check can catch it
+    const impostor = createSigningKey({ kid: 'test-key' });
+    assert.equal(await lambda.verifyToken(signToken(impostor, claims())), null);
+});
+
+test('a token whose claims were changed after signing is rejected', async () => {
+    const [header, , signature] = signToken(key, claims()).split('.');
+    const forged = base64UrlEncode(JSON.stringify(claims({ sub: 'someone-else' })));
+    assert.equal(await lambda.verifyToken(`${header}.${forged}.${signature}`), null);
+});
+
+test('a token with an unknown key id is rejected', async () => {
+    assert.equal(await lambda.verifyToken(signToken(key, claims(), { header: { kid: 'rotated-away' } })), null);
+});
+
+test('malformed tokens are rejected', async () => {
+    assert.equal(await lambda.verifyToken(''), null);
+    assert.equal(await lambda.verifyToken('not-a-jwt'), null);
+    assert.equal(await lambda.verifyToken('a.b.c'), null);
+});
+
+// ==================== rsaPublicKeyFromJWK ====================
+
+test('JWKs convert to the same public key Node derives', () => {
+    [[1024, 65537], [2048, 65537], [4096, 65537], [2048, 3]].forEach(([modulusLength, publicExponent]) => {
+        const { publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength, publicExponent });
+        const jwk = publicKey.export({ format: 'jwk' });
+        const expected = publicKey.export({ type: 'spki', format: 'pem' }).trim();
+
+        assert.equal(lambda.rsaPublicKeyFromJWK(jwk), expected, `${modulusLength} bit, e=${publicExponent}`);
+    });
+});
+
+// ==================== handler ====================
+
+test('requests without a valid token get 401', async () => {
+    const past = Math.floor(Date.now() / 1000) - 60;
+    const tokens = [
+        undefined,
+        'Bearer ',
+        signToken(key, claims({ exp: past })),
+        signToken(key, claims({ iss: 'https://example.com' })),
+        signToken(createSigningKey({ kid: 'test-key' }), claims()),
+        signToken(key, claims({ sub: undefined }))
+    ];
+
+    for (const token of tokens) {
+        const response = await request('GET', '/profile', token);
+        assert.equal(response.statusCode, 401);
+        assert.deepEqual(JSON.parse(response.body), { error: 'Unauthorized' });
+    }
+});
+
+test('CORS preflight needs no token', async () => {
+    const response = await request('OPTIONS', '/profile');
+    assert.equal(response.statusCode, 200);
+    assert.match(response.headers['Access-Control-Allow-Headers'], /Authorization/);
+});
+
+test('a valid token reaches the data of its own user only', async () => {
+    const alice = signToken(key, claims({ sub: 'alice' }));
+    const bob = signToken(key, claims({ sub: 'bob' }));
+
+    assert.equal((await request('GET', '/profile', alice)).statusCode, 404);
+
+    const saved = await request('PUT', '/profile', alice, { dailyGoal: 2500 });
+    assert.equal(saved.statusCode, 200);
+    assert.equal(saved.headers.ETag, '"1"');
+
+    const profile = await request('GET', '/profile', alice);
+    assert.equal(profile.statusCode, 200);
+    assert.equal(JSON.parse(profile.body).dailyGoal, 2500);
+
+    assert.equal((await request('GET', '/profile', bob)).statusCode, 404);
+});
+
+// ==================== validation ====================
+
+function rawRequest(method, path, body) {
+    return lambda.handler({
+        rawPath: path,
+        headers: { authorization: signToken(key, claims({ sub: 'validator' })) },
+        requestContext: { http: { method } },
+        body
+    });
+}
+
+function fieldsOf(response) {
+    return JSON.parse(response.body).fields.map(f => f.field);
+}
+
+function entry(overrides = {}) {
+    return { id: 'e1', amount: 250, hydration: 250, timestamp: new Date().toISOString(), ...overrides };
+}
+
+test('malformed JSON gets 400 instead of a server error', async () => {
+    for (const [method, path] of [['PUT', '/profile'], ['POST', '/entries']]) {
+        const response = await rawRequest(method, path, '{"dailyGoal": 25');
+        assert.equal(response.statusCode, 400);
+        assert.deepEqual(JSON.parse(response.body), { error: 'Request body is not valid JSON' });
+    }
+});
+
+test('oversized bodies get 413', async () => {
+    const body = JSON.stringify({ dailyGoal: 2000, padding: 'x'.repeat(400 * 1024) });
+    assert.equal((await rawRequest('PUT', '/profile', body)).statusCode, 413);
+});
+
+test('drinks with impossible values are rejected with their fields', async () => {
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const response = await request('POST', '/entries', signToken(key, claims({ sub: 'validator' })), {
+        entries: [
+            entry(),
+            entry({ id: 'big', amount: 2001 }),
+            entry({ id: 'negative', amount: -250 }),
+            entry({ id: 'future', timestamp: future }),
+            entry({ id: '', hydration: 9000 }),
+            entry({ id: 'edited', updatedAt: future }),
+            'not a drink'
+        ]
+    });
+
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(fieldsOf(response), [
+        'entries[1].amount',
+        'entries[2].amount',
+        'entries[3].timestamp',
+        'entries[4].id',
+        'entries[4].hydration',
+        'entries[5].updatedAt',
+        'entries[6]'
+    ]);
+});
+
+test('a drink of exactly 2000ml is accepted', async () => {
+    const response = await request('POST', '/entries', signToken(key, claims({ sub: 'validator' })), {
+        entries: [entry({ id: 'max', amount: 2000, hydration: 2000 })]
+    });
+    assert.equal(response.statusCode, 200);
+});
+
+test('batches above the limit are rejected', async () => {
+    const entries = Array.from({ length: 101 }, (_, i) => entry({ id: `e${i}` }));
+    const response = await request('POST', '/entries', signToken(key, claims({ sub: 'validator' })), { entries });
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(fieldsOf(response), ['entries']);
+});
+
+test('profiles with out-of-range settings are rejected', async () => {
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const response = await request('PUT', '/profile', signToken(key, claims({ sub: 'validator' })), {
+        dailyGoal: 1e9,
+        goalHistory: [{ from: 'yesterday', goal: 2000 }],
+        settings: { reminderInterval: 0, startTime: '25:00', soundEnabled: 'yes' },
+        activities: [{ id: 'a1', date: 'Fri May 10 2024', bonus: -5 }],
+        achievements: { first_drop: { unlockedAt: future } },
+        fieldTimestamps: { dailyGoal: future }
+    });
+
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(fieldsOf(response), [
+        'dailyGoal',
+        'goalHistory[0].from',
+        'settings.reminderInterval',
+        'settings.startTime',
+        'settings.soundEnabled',
+        'activities[0].bonus',
+        'achievements.first_drop.unlockedAt',
+        'fieldTimestamps.dailyGoal'
+    ]);
+    // Nothing was stored
+    assert.equal((await request('GET', '/profile', signToken(key, claims({ sub: 'validator' })))).statusCode, 404);
+});
+
+test('deleting a drink needs a valid timestamp', async () => {
+    const token = signToken(key, claims({ sub: 'validator' }));
+    const missing = await lambda.handler({
+        rawPath: '/entries/e1',
+        headers: { authorization: token },
+        requestContext: { http: { method: 'DELETE' } }
+    });
+    assert.equal(missing.statusCode, 400);
+    assert.deepEqual(fieldsOf(missing), ['timestamp']);
+
+    const valid = await lambda.handler({
+        rawPath: '/entries/e1',
+        headers: { authorization: token },
+        queryStringParameters: { timestamp: new Date().toISOString() },
+        requestContext: { http: { method: 'DELETE' } }
+    });
+    assert.equal(valid.statusCode, 200);
+});
+
+test('reminder schedules need 7 days of valid windows', async () => {
+    const token = signToken(key, claims({ sub: 'validator' }));
+    const days = Array.from({ length: 7 }, () => [{ start: '20:00', end: '04:00' }]);
+    const quietPeriods = [{ label: 'Lunch', start: '12:00', end: '13:00', days: [1, 2, 3, 4, 5] }];
+    assert.equal((await request('PUT', '/profile', token, { settings: { reminderDays: days, quietPeriods } })).statusCode, 200);
+
+    const response = await request('PUT', '/profile', token, {
+        settings: {
+            reminderDays: [[{ start: '08:00', end: '24:00' }], 'weekends', [], [], [], [], []],
+            quietPeriods: [{ start: '12:00', end: '13:00', days: [7] }, { label: 'x'.repeat(51), start: '1:00', end: '02:00', days: [] }]
+        }
+    });
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(fieldsOf(response), [
+        'settings.reminderDays[0][0].end',
+        'settings.reminderDays[1]',
+        'settings.quietPeriods[0].days',
+        'settings.quietPeriods[1].start',
+        'settings.quietPeriods[1].label'
+    ]);
+});
+
+test('a reminder pause needs an end time and a reason', async () => {
+    // It ends in the future, unlike every other timestamp
+    const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const snoozed = signToken(key, claims({ sub: 'snoozer' }));
+    assert.equal((await request('PUT', '/profile', snoozed, { settings: { reminderPause: { until, reason: 'snooze' } } })).statusCode, 200);
+    const resumed = signToken(key, claims({ sub: 'resumer' }));
+    assert.equal((await request('PUT', '/profile', resumed, { settings: { reminderPause: null } })).statusCode, 200);
+
+    const token = signToken(key, claims({ sub: 'validator' }));
+
+    const response = await request('PUT', '/profile', token, { settings: { reminderPause: { until: 'later', reason: 'nap' } } });
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(fieldsOf(response), ['settings.reminderPause.until', 'settings.reminderPause.reason']);
+});
+
+// ==================== sync ====================
+
+function getChanges(token, since) {
+    return lambda.handler({
+        rawPath: '/entries',
+        headers: { authorization: token },
+        queryStringParameters: { since },
+        requestContext: { http: { method: 'GET' } }
+    }).then(response => JSON.parse(response.body));
+}
+
+test('a migrated history larger than a page is pulled in full', async () => {
+    // Every migrated drink is written with the same updatedAt
+    const start = Date.parse('2024-01-01T08:00:00Z');
+    const history = Array.from({ length: 1200 }, (_, i) => ({
+        id: `legacy-${i}`, amount: 250, timestamp: new Date(start + i * 60 * 1000).toISOString()
+    }));
+    await new dynamodb.DynamoDBClient().send(new dynamodb.PutItemCommand({
+        TableName: 'HydraTrackUsers',
+        Item: { userId: { S: 'migrated' }, state: { S: JSON.stringify({ dailyGoal: 2000, history }) } }
+    }));
+    const token = signToken(key, claims({ sub: 'migrated' }));
+    assert.equal((await request('GET', '/profile', token)).statusCode, 200);
+
+    const ids = new Set();
+    let cursor = '';
+    let pages = 0;
+    let page;
+    do {
+        page = await getChanges(token, cursor);
+        page.entries.forEach(e => ids.add(e.id));
+        cursor = page.cursor;
+        pages++;
+    } while (page.hasMore);
+
+    assert.ok(pages > 1);
+    assert.equal(ids.size, history.length);
+});
+
+test('cursors without a key still return later changes', async () => {
+    const token = signToken(key, claims({ sub: 'old-client' }));
+    const before = new Date(Date.now() - 1000).toISOString();
+    await request('POST', '/entries', token, { entries: [entry({ id: 'after-cursor' })] });
+    assert.deepEqual((await getChanges(token, before)).entries.map(e => e.id), ['after-cursor']);
+});
+
+test('profiles drop deletions older than 30 days', async () => {
+    const token = signToken(key, claims({ sub: 'tombstones' }));
+    const recent = new Date(Date.now() - 60 * 1000).toISOString();
+    const old = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+    assert.equal((await request('PUT', '/profile', token, { deletedEntries: { old, recent } })).statusCode, 200);
+
+    const profile = JSON.parse((await request('GET', '/profile', token)).body);
+    assert.deepEqual(profile.deletedEntries, { recent });
+});
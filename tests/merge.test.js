@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { StateMerger } = require('../core');
+const { createState, drink } = require('./helpers/state');
+
+const ids = (records) => records.map(r => r.id);
+
+test('drinks from both devices are combined in time order', () => {
+    const a1 = drink('2024-05-10T08:00:00Z', 250, { id: 'a1', deviceId: 'phone' });
+    const b1 = drink('2024-05-10T09:00:00Z', 500, { id: 'b1', deviceId: 'laptop' });
+    const a2 = drink('2024-05-10T10:00:00Z', 300, { id: 'a2', deviceId: 'phone' });
+
+    const merged = StateMerger.merge(createState({ history: [a1, a2] }), createState({ history: [b1, a1] }));
+    assert.deepEqual(ids(merged.history), ['a1', 'b1', 'a2']);
+});
+
+test('a deletion on either device wins over the other copy', () => {
+    const kept = drink('2024-05-10T08:00:00Z', 250, { id: 'kept' });
+    const gone = drink('2024-05-10T09:00:00Z', 250, { id: 'gone' });
+
+    const local = createState({ history: [kept, gone] });
+    const remote = createState({ history: [kept], deletedEntries: { gone: '2024-05-10T10:00:00Z' } });
+
+    const merged = StateMerger.merge(local, remote, Date.parse('2024-05-11T00:00:00Z'));
+    assert.deepEqual(ids(merged.history), ['kept']);
+    assert.deepEqual(merged.deletedEntries, { gone: '2024-05-10T10:00:00Z' });
+});
+
+test('deletion times keep the latest of both devices', () => {
+    assert.deepEqual(
+        StateMerger.mergeDeletions({ x: '2024-01-01', y: '2024-03-01' }, { x: '2024-02-01', z: '2024-01-05' }),
+        { x: '2024-02-01', y: '2024-03-01', z: '2024-01-05' }
+    );
+});
+
+test('the later edit of a drink wins', () => {
+    const original = drink('2024-05-10T08:00:00Z', 250, { id: 'e1' });
+    const editedHere = { ...original, amount: 300, updatedAt: '2024-05-10T12:00:00Z' };
+    const editedThere = { ...original, amount: 400, updatedAt: '2024-05-10T13:00:00Z' };
+
+    assert.equal(StateMerger.mergeRecords([editedHere], [editedThere])[0].amount, 400);
+    assert.equal(StateMerger.mergeRecords([editedThere], [editedHere])[0].amount, 400);
+    assert.equal(StateMerger.mergeRecords([original], [editedHere])[0].amount, 300);
+});
+
+test('achievements keep the earliest unlock', () => {
+    const merged = StateMerger.mergeAchievements(
+        { first_drop: { unlockedAt: '2024-05-02' }, liter_club: { unlockedAt: '2024-05-05' } },
+        { first_drop: { unlockedAt: '2024-05-01' }, early_bird: { unlockedAt: '2024-05-03' } }
+    );
+    assert.deepEqual(merged, {
+        first_drop: { unlockedAt: '2024-05-01' },
+        liter_club: { unlockedAt: '2024-05-05' },
+        early_bird: { unlockedAt: '2024-05-03' }
+    });
+});
+
+test('each setting keeps the value that was changed last', () => {
+    const local = createState({
+        dailyGoal: 2500,
+        settings: { soundEnabled: false, startTime: '07:00', endTime: '22:00' },
+        fieldTimestamps: {
+            dailyGoal: '2024-05-10T12:00:00Z',
+            'settings.soundEnabled': '2024-05-10T09:00:00Z',
+            'settings.startTime': '2024-05-10T15:00:00Z'
+        }
+    });
+    const remote = createState({
+        dailyGoal: 3000,
+        settings: { soundEnabled: true, startTime: '09:00', endTime: '23:00' },
+        fieldTimestamps: {
+            dailyGoal: '2024-05-10T08:00:00Z',
+            'settings.soundEnabled': '2024-05-10T10:00:00Z',
+            'settings.startTime': '2024-05-10T11:00:00Z',
+            'settings.endTime': '2024-05-10T11:00:00Z'
+        }
+    });
+
+    const merged = StateMerger.merge(local, remote);
+    assert.equal(merged.dailyGoal, 2500);
+    assert.equal(merged.settings.soundEnabled, true);
+    assert.equal(merged.settings.startTime, '07:00');
+    assert.equal(merged.settings.endTime, '23:00');
+    assert.equal(merged.fieldTimestamps['settings.soundEnabled'], '2024-05-10T10:00:00Z');
+    assert.equal(merged.fieldTimestamps.dailyGoal, '2024-05-10T12:00:00Z');
+});
+
+test('fields nobody has changed yet come from the cloud copy', () => {
+    const local = createState({ dailyGoal: 2000, settings: { soundEnabled: true } });
+    const remote = createState({ dailyGoal: 3200, settings: { soundEnabled: false } });
+
+    const merged = StateMerger.merge(local, remote);
+    assert.equal(merged.dailyGoal, 3200);
+    assert.equal(merged.settings.soundEnabled, false);
+});
+
+test('merging is the same in both directions for drinks and deletions', () => {
+    const shared = drink('2024-05-10T08:00:00Z', 250, { id: 's' });
+    const a = createState({ history: [shared, drink('2024-05-10T09:00:00Z', 250, { id: 'a' })] });
+    const b = createState({
+        history: [shared, drink('2024-05-10T07:00:00Z', 250, { id: 'b' })],
+        deletedEntries: { s: '2024-05-10T10:00:00Z' }
+    });
+
+    assert.deepEqual(ids(StateMerger.merge(a, b).history), ids(StateMerger.merge(b, a).history));
+    assert.deepEqual(ids(StateMerger.merge(a, b).history), ['b', 'a']);
+});
+
+test('the newer schema version is kept', () => {
+    const merged = StateMerger.merge(createState({ schemaVersion: 3 }), createState({ schemaVersion: 4 }));
+    assert.equal(merged.schemaVersion, 4);
+});
+
+test('profiles leave drinks out', () => {
+    const profile = StateMerger.getProfile(createState({ history: [drink('2024-05-10T08:00:00Z')] }));
+    assert.equal(profile.history, undefined);
+    assert.deepEqual(Object.keys(profile), StateMerger.PROFILE_FIELDS);
+});
+
+test('deletions are applied, then only the last 30 days of them are kept', () => {
+    const old = drink('2024-03-01T08:00:00Z', 250, { id: 'old' });
+    const local = createState({ history: [old], deletedEntries: { recent: '2024-05-09T10:00:00Z' } });
+    const remote = createState({ deletedEntries: { old: '2024-03-02T10:00:00Z' } });
+
+    const merged = StateMerger.merge(local, remote, Date.parse('2024-05-10T12:00:00Z'));
+    assert.deepEqual(ids(merged.history), []);
+    assert.deepEqual(merged.deletedEntries, { recent: '2024-05-09T10:00:00Z' });
+});
+
+test('profiles carry only the newest deletions', () => {
+    const deletedEntries = {};
+    for (let i = 0; i < 1500; i++) {
+        deletedEntries[`d${i}`] = new Date(Date.parse('2024-05-10T00:00:00Z') + i * 1000).toISOString();
+    }
+    const profile = StateMerger.getProfile(createState({ deletedEntries }), Date.parse('2024-05-11T00:00:00Z'));
+
+    assert.equal(Object.keys(profile.deletedEntries).length, StateMerger.MAX_PROFILE_TOMBSTONES);
+    assert.ok(profile.deletedEntries.d1499);
+    assert.equal(profile.deletedEntries.d0, undefined);
+});
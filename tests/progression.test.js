@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Progression, Achievements } = require('../core');
+
+test('drinks earn 10 XP per 250ml, rounded down', () => {
+    assert.equal(Progression.getXPForAmount(250), 10);
+    assert.equal(Progression.getXPForAmount(330), 13);
+    assert.equal(Progression.getXPForAmount(24), 0);
+    assert.equal(Progression.getXPForAmount(0), 0);
+});
+
+test('levels start exactly at their XP requirement', () => {
+    assert.equal(Progression.getLevelForXP(0), 1);
+    assert.equal(Progression.getLevelForXP(99), 1);
+    assert.equal(Progression.getLevelForXP(100), 2);
+    assert.equal(Progression.getLevelForXP(799), 4);
+    assert.equal(Progression.getLevelForXP(800), 5);
+    assert.equal(Progression.getLevelForXP(4000), 10);
+    assert.equal(Progression.getLevelForXP(999999), 10);
+});
+
+test('every level requires more XP than the one before', () => {
+    Progression.LEVELS.forEach((level, i) => {
+        assert.equal(level.level, i + 1);
+        if (i > 0) assert.ok(level.xpRequired > Progression.LEVELS[i - 1].xpRequired);
+    });
+});
+
+test('level progress counts XP from the start of the current level', () => {
+    assert.deepEqual(Progression.getLevelProgress(0, 1), { current: 0, required: 100, percentage: 0 });
+    assert.deepEqual(Progression.getLevelProgress(175, 2), { current: 75, required: 150, percentage: 50 });
+    assert.deepEqual(Progression.getLevelProgress(250, 3), { current: 0, required: 250, percentage: 0 });
+});
+
+test('the last level shows a full bar', () => {
+    assert.deepEqual(Progression.getLevelProgress(4000, 10), { current: 0, required: 1, percentage: 100 });
+    assert.deepEqual(Progression.getLevelProgress(9000, 10), { current: 0, required: 1, percentage: 100 });
+});
+
+test('an unknown level does not throw', () => {
+    assert.equal(Progression.getLevelProgress(50, 42).percentage, 100);
+});
+
+test('level-ups found by getLevelForXP match the XP bar', () => {
+    for (let xp = 0; xp <= 4200; xp += 50) {
+        const level = Progression.getLevelForXP(xp);
+        const progress = Progression.getLevelProgress(xp, level);
+        assert.ok(progress.percentage >= 0 && progress.percentage <= 100, `${xp} XP at level ${level}`);
+    }
+});
+
+test('total XP adds drinks, perfect days and achievements', () => {
+    const state = {
+        history: [{ amount: 250, hydration: 250 }, { amount: 500, hydration: 400 }, { amount: 300, xp: 5 }],
+        achievements: { first_drop: { unlockedAt: '2024-05-10T08:00:00Z' }, not_an_achievement: {} }
+    };
+    const firstDrop = Achievements.DEFINITIONS.find(a => a.id === 'first_drop').xp;
+
+    assert.equal(Progression.getTotalXP(state, 0), 10 + 16 + 5 + firstDrop);
+    assert.equal(Progression.getTotalXP(state, 2), 10 + 16 + 5 + firstDrop + 200);
+});
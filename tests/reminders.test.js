@@ -0,0 +1,215 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Reminders, StateSchema, Hydration } = require('../core');
+
+const MINUTE = 60 * 1000;
+
+// 2024-05-10 is a Friday
+function at(time, date = '2024-05-10') {
+    return new Date(`${date}T${time}:00`).getTime();
+}
+
+function everyDay(...windows) {
+    return Array.from({ length: 7 }, () => windows.map(([start, end]) => ({ start, end })));
+}
+
+// 2000ml between 08:00 and 18:00 is 200ml an hour on pace
+function schedule(overrides = {}) {
+    const settings = {
+        enabled: true,
+        interval: 60,
+        reminderDays: everyDay(['08:00', '18:00']),
+        quietPeriods: [],
+        goal: 2000,
+        intake: 0,
+        intakeDate: new Date(at('08:00')).toDateString(),
+        lastDrinkAt: null
+    };
+    return { ...Reminders.updateSchedule(null, settings, at('08:00')), ...overrides };
+}
+
+function shows(s, time) {
+    return Reminders.advance(s, at(time)).show;
+}
+
+test('on pace, reminders come every interval', () => {
+    const s = schedule({ intake: 400 });
+    assert.equal(shows(s, '08:59'), false);
+    assert.equal(shows(s, '09:00'), true);
+
+    const next = Reminders.advance(s, at('09:00')).schedule;
+    assert.equal(shows(next, '09:59'), false);
+    assert.equal(shows(next, '10:00'), true);
+});
+
+test('a drink restarts the wait', () => {
+    const s = schedule({ intake: 400, lastDrinkAt: at('08:50') });
+    assert.equal(shows(s, '09:00'), false);
+    assert.equal(shows(s, '09:50'), true);
+});
+
+test('falling behind pace reminds more often', () => {
+    // At 13:00, 1000ml is due: 1000ml behind means a third of the interval
+    const s = schedule({ lastReminderAt: at('12:40') });
+    assert.equal(Reminders.getShortfall(s, new Date(at('13:00'))), 1000);
+    assert.equal(shows(s, '13:00'), true);
+    assert.equal(shows(schedule({ intake: 1000, lastReminderAt: at('12:40') }), '13:00'), false);
+});
+
+test('however far behind, reminders stay 15 minutes apart', () => {
+    const s = schedule({ lastReminderAt: at('17:00') });
+    assert.equal(shows(s, '17:14'), false);
+    assert.equal(shows(s, '17:15'), true);
+});
+
+test('reminders stop once the goal is met', () => {
+    assert.equal(shows(schedule({ intake: 2000 }), '12:00'), false);
+    // A new day starts from zero again
+    const tomorrow = new Date(at('12:00') + 24 * 60 * MINUTE);
+    assert.equal(Reminders.advance(schedule({ intake: 2000 }), tomorrow.getTime()).show, true);
+});
+
+test('reminders missed while asleep collapse into one', () => {
+    const first = Reminders.advance(schedule(), at('14:30'));
+    assert.equal(first.show, true);
+    assert.equal(Reminders.advance(first.schedule, at('14:31')).show, false);
+});
+
+test('nothing is shown outside the active hours or when switched off', () => {
+    assert.equal(shows(schedule(), '19:00'), false);
+    assert.equal(shows(schedule({ enabled: false }), '12:00'), false);
+    assert.equal(Reminders.advance(null, at('12:00')).show, false);
+});
+
+test('the first reminder of the day waits one interval after the start', () => {
+    const s = schedule({ startedAt: at('08:00') - 24 * 60 * MINUTE, lastReminderAt: at('17:00') - 24 * 60 * MINUTE });
+    assert.equal(shows(s, '08:30'), false);
+    assert.equal(shows(s, '09:00'), true);
+});
+
+test('snoozing holds reminders back for 15 minutes', () => {
+    const snoozed = Reminders.snooze(schedule(), undefined, at('10:00'));
+    assert.equal(shows(snoozed, '10:14'), false);
+    assert.equal(shows(snoozed, '10:15'), true);
+});
+
+test('new intake keeps the countdown, a new interval restarts it', () => {
+    const s = schedule();
+    assert.equal(Reminders.updateSchedule(s, { ...s, intake: 500 }, at('08:40')).startedAt, at('08:00'));
+    assert.equal(Reminders.updateSchedule(s, { ...s, interval: 30 }, at('08:40')).startedAt, at('08:40'));
+});
+
+test('the message says how much is needed to catch up', () => {
+    assert.equal(
+        Reminders.getMessage(schedule({ intake: 250 }), new Date(at('11:00'))),
+        "Drink 350ml to catch up. You've had 250ml of 2000ml today"
+    );
+    assert.equal(
+        Reminders.getMessage(schedule({ intake: 800 }), new Date(at('11:00'))),
+        "You're on track with 800ml of 2000ml today. Keep going!"
+    );
+});
+
+test('pausing holds reminders back until the chosen time', () => {
+    const s = schedule({ pausedUntil: at('14:00') });
+    assert.equal(shows(s, '13:59'), false);
+    assert.equal(shows(s, '14:00'), true);
+});
+
+test('resuming in the app also ends a snooze from a notification', () => {
+    const snoozed = Reminders.snooze(schedule({ pausedUntil: at('10:30') }), 30, at('10:00'));
+    const resumed = Reminders.updateSchedule(snoozed, { ...snoozed, pausedUntil: null }, at('10:05'));
+    assert.equal(resumed.snoozedUntil, null);
+    assert.equal(shows(resumed, '10:05'), true);
+});
+
+test('pausing until tomorrow ends when the next day\'s first window opens', () => {
+    const days = everyDay(['08:00', '18:00']);
+    days[6] = [{ start: '15:00', end: '18:00' }, { start: '10:00', end: '12:00' }];
+    days[0] = [];
+    assert.equal(Reminders.getTomorrowStart(schedule({ reminderDays: days }), at('20:00')), at('10:00', '2024-05-11'));
+
+    // Saturday and Sunday off: Monday morning
+    days[6] = [];
+    assert.equal(Reminders.getTomorrowStart(schedule({ reminderDays: days }), at('20:00')), at('08:00', '2024-05-13'));
+});
+
+test('pausing until tomorrow skips the rest of tonight\'s overnight window', () => {
+    const s = schedule({ reminderDays: everyDay(['20:00', '04:00']) });
+    assert.equal(Reminders.getTomorrowStart(s, at('23:00')), at('20:00', '2024-05-11'));
+});
+
+test('the quick add uses the drink size logged most often lately', () => {
+    assert.equal(Hydration.getUsualAmount([]), 250);
+    const history = [330, 500, 330, 500, 200].map(amount => ({ amount }));
+    assert.equal(Hydration.getUsualAmount(history), 500);
+    assert.equal(Hydration.getUsualAmount([...history, { amount: 200 }, { amount: 200 }]), 200);
+    assert.equal(Hydration.getUsualAmount(history, 1), 200);
+});
+
+// ==================== Active Hours ====================
+
+test('a window past midnight covers the late evening and the next morning', () => {
+    // The old single range was active nowhere for 20:00 to 04:00
+    const s = schedule({ reminderDays: everyDay(['20:00', '04:00']) });
+    assert.equal(Reminders.isWithinActiveHours(s, new Date(at('23:30'))), true);
+    assert.equal(Reminders.isWithinActiveHours(s, new Date(at('02:00'))), true);
+    assert.equal(Reminders.isWithinActiveHours(s, new Date(at('04:00'))), false);
+    assert.equal(Reminders.isWithinActiveHours(s, new Date(at('12:00'))), false);
+});
+
+test('an overnight window belongs to the weekday it starts on', () => {
+    // Friday night shift only
+    const days = everyDay();
+    days[5] = [{ start: '20:00', end: '04:00' }];
+    const s = schedule({ reminderDays: days });
+
+    assert.equal(Reminders.isWithinActiveHours(s, new Date(at('22:00', '2024-05-10'))), true);
+    assert.equal(Reminders.isWithinActiveHours(s, new Date(at('03:00', '2024-05-11'))), true);
+    assert.equal(Reminders.isWithinActiveHours(s, new Date(at('03:00', '2024-05-10'))), false);
+    assert.equal(Reminders.isWithinActiveHours(s, new Date(at('22:00', '2024-05-11'))), false);
+});
+
+test('each weekday has its own windows, several a day', () => {
+    const days = everyDay(['07:00', '09:00'], ['17:00', '22:00']);
+    days[0] = [];
+    days[6] = [{ start: '10:00', end: '20:00' }];
+    const s = schedule({ reminderDays: days });
+
+    assert.equal(Reminders.isWithinActiveHours(s, new Date(at('08:00'))), true);
+    assert.equal(Reminders.isWithinActiveHours(s, new Date(at('12:00'))), false);
+    assert.equal(Reminders.isWithinActiveHours(s, new Date(at('18:00'))), true);
+    assert.equal(Reminders.isWithinActiveHours(s, new Date(at('12:00', '2024-05-11'))), true);
+    assert.equal(Reminders.isWithinActiveHours(s, new Date(at('12:00', '2024-05-12'))), false);
+});
+
+test('quiet periods hold reminders back on their weekdays only', () => {
+    const s = schedule({ quietPeriods: [{ label: 'Lunch', start: '12:00', end: '13:00', days: [1, 2, 3, 4, 5] }] });
+    assert.equal(shows(s, '12:30'), false);
+    assert.equal(shows(s, '13:00'), true);
+    assert.equal(Reminders.isWithinActiveHours(s, new Date(at('12:30', '2024-05-11'))), true);
+});
+
+test('a quiet period can run past midnight too', () => {
+    const s = schedule({
+        reminderDays: everyDay(['00:00', '00:00']),
+        quietPeriods: [{ label: 'Sleep', start: '23:00', end: '07:00', days: [0, 1, 2, 3, 4, 5, 6] }]
+    });
+    assert.equal(Reminders.isWithinActiveHours(s, new Date(at('23:30'))), false);
+    assert.equal(Reminders.isWithinActiveHours(s, new Date(at('06:59'))), false);
+    assert.equal(Reminders.isWithinActiveHours(s, new Date(at('07:00'))), true);
+});
+
+test('pace counts only the active minutes of the day', () => {
+    // 3 + 5 hours; at 18:00 the first 3 and 1 of the next 5 have passed
+    const s = schedule({ reminderDays: everyDay(['07:00', '10:00'], ['17:00', '22:00']) });
+    assert.equal(Reminders.getShortfall(s, new Date(at('12:00'))), 750);
+    assert.equal(Reminders.getShortfall(s, new Date(at('18:00'))), 1000);
+});
+
+test('saved states with one range of active hours get it on every weekday', () => {
+    const migrated = StateSchema.migrate({ schemaVersion: 4, settings: { startTime: '20:00', endTime: '04:00' } });
+    assert.deepEqual(migrated.settings.reminderDays, everyDay(['20:00', '04:00']));
+    assert.equal(migrated.settings.startTime, undefined);
+    assert.equal(migrated.settings.endTime, undefined);
+});
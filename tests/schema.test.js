@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { StateSchema } = require('../core');
+const { createState, drink } = require('./helpers/state');
+
+// The parts of the app's default state that validate reads
+function defaults() {
+    return createState({
+        schemaVersion: StateSchema.VERSION,
+        settings: {
+            soundEnabled: true,
+            notificationsEnabled: false,
+            reminderInterval: 60,
+            reminderDays: Array.from({ length: 7 }, () => [{ start: '08:00', end: '22:00' }]),
+            reminderPause: null,
+            quietPeriods: [],
+            selectedBeverage: 'water',
+            customBeverages: [],
+            caffeineLimit: 400,
+            sugarLimit: 50,
+            goalProfile: null,
+            goalMode: 'manual'
+        }
+    });
+}
+
+test('a valid state is prepared without reporting anything', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const reports = [];
+    const state = StateSchema.prepare(JSON.stringify(createState({ history: [drink('2024-05-10T09:00')] })), defaults(), m => reports.push(m));
+
+    assert.equal(state.history.length, 1);
+    assert.deepEqual(reports, []);
+    assert.equal(warn.mock.callCount(), 0);
+});
+
+test('repairs are reported to the caller instead of logged', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const error = t.mock.method(console, 'error', () => {});
+    const reports = [];
+    const saved = createState({ dailyGoal: 99999, history: [drink('2024-05-10T09:00'), { amount: 'lots' }] });
+    StateSchema.prepare(saved, defaults(), m => reports.push(m));
+
+    assert.deepEqual(reports, ['Repaired saved state: dailyGoal, 1 unreadable history entries']);
+    assert.equal(StateSchema.prepare('{not json', defaults(), m => reports.push(m)), null);
+    assert.match(reports[1], /^Saved state is not valid JSON/);
+    assert.equal(warn.mock.callCount() + error.mock.callCount(), 0);
+});
+
+test('custom drinks and workouts that cannot be read are dropped', () => {
+    const tea = { id: 'custom-tea', name: 'Tea', icon: '🍵', coefficient: 0.9, caffeine: 30, sugar: 0 };
+    const run = { id: 'w1', type: 'run', intensity: 'high', duration: 30, bonus: 350, date: 'Fri May 10 2024' };
+    const state = StateSchema.prepare(createState({
+        activities: [run, { ...run, id: undefined }, { ...run, id: 'w2', duration: 'long' }],
+        settings: { customBeverages: [tea, { ...tea, coefficient: 9 }, { ...tea, id: 42 }] }
+    }), defaults());
+
+    assert.deepEqual(state.activities, [run]);
+    assert.deepEqual(state.settings.customBeverages, [tea]);
+});
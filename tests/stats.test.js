@@ -0,0 +1,256 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { StatsEngine, Hydration } = require('../core');
+const { useFakeClock, withTimeZone, HOUR, DAY } = require('./helpers/clock');
+const { createState, drink } = require('./helpers/state');
+
+function engineFor(state) {
+    return new StatsEngine(() => state);
+}
+
+// A goal-reaching drink at noon on each of the given local dates
+function perfectDays(...dates) {
+    return dates.map(date => drink(`${date}T12:00:00`, 2000));
+}
+
+test('streak counts consecutive goal days up to today', (t) => {
+    const clock = useFakeClock('2024-05-10T18:00:00');
+    t.after(() => clock.restore());
+
+    const state = createState({ history: perfectDays('2024-05-07', '2024-05-08', '2024-05-09', '2024-05-10') });
+    const stats = engineFor(state).getStats();
+
+    assert.equal(stats.streak, 4);
+    assert.equal(stats.bestStreak, 4);
+    assert.equal(stats.perfectDays, 4);
+});
+
+test('streak survives the next day until it ends without a goal', (t) => {
+    const clock = useFakeClock('2024-05-10T23:59:59');
+    t.after(() => clock.restore());
+
+    const state = createState({ history: perfectDays('2024-05-08', '2024-05-09', '2024-05-10') });
+    const engine = engineFor(state);
+    assert.equal(engine.getStats().streak, 3);
+
+    // Midnight: yesterday was a goal day, so the streak is still alive
+    clock.tick(1000);
+    assert.equal(engine.getStats().streak, 3);
+
+    // A whole day without reaching the goal ends it
+    clock.tick(DAY);
+    assert.equal(engine.getStats().streak, 0);
+    assert.equal(engine.getStats().bestStreak, 3);
+});
+
+test('a missed day restarts the streak', (t) => {
+    const clock = useFakeClock('2024-05-10T09:00:00');
+    t.after(() => clock.restore());
+
+    const state = createState({
+        history: [
+            ...perfectDays('2024-05-05', '2024-05-06', '2024-05-07'),
+            drink('2024-05-08T12:00:00', 500),
+            ...perfectDays('2024-05-09', '2024-05-10')
+        ]
+    });
+    const stats = engineFor(state).getStats();
+
+    assert.equal(stats.streak, 2);
+    assert.equal(stats.bestStreak, 3);
+    assert.equal(stats.totalDays, 6);
+});
+
+test('drinks add up per day against the goal that applied then', (t) => {
+    const clock = useFakeClock('2024-05-10T20:00:00');
+    t.after(() => clock.restore());
+
+    const state = createState({
+        dailyGoal: 3000,
+        goalHistory: [{ from: '1970-01-01', goal: 2000 }, { from: '2024-05-10', goal: 3000 }],
+        history: [
+            drink('2024-05-09T08:00:00', 1000),
+            drink('2024-05-09T20:00:00', 1000),
+            drink('2024-05-10T08:00:00', 2500)
+        ]
+    });
+    const stats = engineFor(state).getStats();
+
+    assert.equal(stats.days.get(new Date('2024-05-09T12:00:00').toDateString()).hydration, 2000);
+    assert.deepEqual([...stats.perfectDates], [new Date('2024-05-09T12:00:00').toDateString()]);
+    assert.equal(stats.totalWater, 4500);
+    assert.equal(stats.glassesCount, 3);
+});
+
+test('workouts raise the target for their day', (t) => {
+    const clock = useFakeClock('2024-05-10T20:00:00');
+    t.after(() => clock.restore());
+
+    const date = new Date('2024-05-10T12:00:00').toDateString();
+    const state = createState({
+        history: perfectDays('2024-05-10'),
+        activities: [{ id: 'a1', date, bonus: 500 }]
+    });
+
+    assert.equal(Hydration.getTargetForDate(state, date), 2500);
+    assert.equal(engineFor(state).getStats().perfectDays, 0);
+});
+
+test('edits in place are only seen after invalidate()', (t) => {
+    const clock = useFakeClock('2024-05-10T20:00:00');
+    t.after(() => clock.restore());
+
+    const state = createState({ history: [drink('2024-05-10T08:00:00', 1000)] });
+    const engine = engineFor(state);
+    assert.equal(engine.getStats().perfectDays, 0);
+
+    state.history[0].hydration = 2000;
+    assert.equal(engine.getStats().perfectDays, 0);
+    engine.invalidate();
+    assert.equal(engine.getStats().perfectDays, 1);
+
+    // Adding a drink is noticed without invalidate()
+    state.history.push(drink('2024-05-10T09:00:00', 250));
+    assert.equal(engine.getStats().totalWater, 2250);
+});
+
+test('updateEntry and removeEntry move only their day', (t) => {
+    const clock = useFakeClock('2024-05-10T20:00:00');
+    t.after(() => clock.restore());
+
+    const state = createState({
+        history: [drink('2024-05-09T08:00:00', 2000), drink('2024-05-10T08:00:00', 1000), drink('2024-05-10T09:00:00', 500)]
+    });
+    const engine = engineFor(state);
+    const today = new Date().toDateString();
+    assert.equal(engine.getDayTotal(today), 1500);
+
+    const edited = state.history[1];
+    edited.hydration = 2000;
+    engine.updateEntry(edited, 1000);
+    assert.equal(engine.getDayTotal(today), 2500);
+    assert.equal(engine.getStats().perfectDays, 2);
+
+    const [removed] = state.history.splice(2, 1);
+    engine.removeEntry(removed);
+    assert.deepEqual(engine.getStats().days.get(today), { hydration: 2000, glasses: 1 });
+    assert.equal(engine.getStats().totalWater, 4000);
+});
+
+test('goals changed in place are only seen after invalidateTargets()', (t) => {
+    const clock = useFakeClock('2024-05-10T20:00:00');
+    t.after(() => clock.restore());
+
+    const state = createState({ history: perfectDays('2024-05-10') });
+    const engine = engineFor(state);
+    assert.equal(engine.getStats().perfectDays, 1);
+
+    state.goalHistory[state.goalHistory.length - 1].goal = 3000;
+    assert.equal(engine.getStats().perfectDays, 1);
+    engine.invalidateTargets();
+    assert.equal(engine.getStats().perfectDays, 0);
+
+    // Workouts are noticed without it
+    state.goalHistory[state.goalHistory.length - 1].goal = 2000;
+    engine.invalidateTargets();
+    state.activities = [{ id: 'a1', date: new Date().toDateString(), bonus: 500 }];
+    assert.equal(engine.getStats().perfectDays, 0);
+});
+
+// ==================== Day Rollover ====================
+
+test('a new day starts at local midnight', (t) => {
+    const clock = useFakeClock('2024-05-10T23:59:59');
+    t.after(() => clock.restore());
+
+    const lastDrinkDate = new Date().toDateString();
+    assert.equal(Hydration.isNewDay(lastDrinkDate), false);
+
+    clock.tick(1000);
+    assert.equal(Hydration.isNewDay(lastDrinkDate), true);
+    assert.equal(Hydration.isNewDay(null), false);
+});
+
+test('checkNewDay rollover resets the intake to what was drunk today', (t) => {
+    const clock = useFakeClock('2024-05-10T22:00:00');
+    t.after(() => clock.restore());
+
+    const state = createState({ history: [drink('2024-05-10T21:00:00', 750)] });
+    state.lastDrinkDate = new Date().toDateString();
+    const engine = engineFor(state);
+    state.currentIntake = engine.getDayTotal(new Date().toDateString());
+    assert.equal(state.currentIntake, 750);
+
+    // What HydraTrack.checkNewDay does when the app is reopened next morning
+    clock.tick(10 * HOUR);
+    assert.equal(Hydration.isNewDay(state.lastDrinkDate), true);
+    assert.equal(engine.getDayTotal(new Date().toDateString()), 0);
+});
+
+// ==================== Time Zones ====================
+
+test('the same instant falls on different days in different time zones', () => {
+    const instant = '2024-01-16T04:30:00Z';
+
+    withTimeZone('America/Los_Angeles', () => {
+        const clock = useFakeClock(instant);
+        try {
+            assert.equal(Hydration.getDateKey(new Date()), '2024-01-15');
+            assert.equal(Hydration.isNewDay(new Date('2024-01-15T09:00:00').toDateString()), false);
+        } finally {
+            clock.restore();
+        }
+    });
+
+    withTimeZone('Pacific/Auckland', () => {
+        const clock = useFakeClock(instant);
+        try {
+            assert.equal(Hydration.getDateKey(new Date()), '2024-01-16');
+            assert.equal(Hydration.isNewDay(new Date('2024-01-15T09:00:00').toDateString()), true);
+        } finally {
+            clock.restore();
+        }
+    });
+});
+
+test('drinks late in the evening count for that local day', () => {
+    withTimeZone('America/New_York', () => {
+        const clock = useFakeClock('2024-05-10T23:45:00');
+        try {
+            const state = createState({
+                history: [drink('2024-05-10T12:00:00', 1500), drink('2024-05-10T23:30:00', 500)]
+            });
+            const stats = engineFor(state).getStats();
+            assert.equal(stats.perfectDays, 1);
+            assert.equal(stats.streak, 1);
+        } finally {
+            clock.restore();
+        }
+    });
+});
+
+test('streaks run across daylight saving changes', () => {
+    withTimeZone('America/New_York', () => {
+        // Spring forward (23-hour day) and fall back (25-hour day)
+        [['2024-03-09', '2024-03-10', '2024-03-11'], ['2024-11-02', '2024-11-03', '2024-11-04']].forEach(dates => {
+            const clock = useFakeClock(`${dates[2]}T23:00:00`);
+            try {
+                const stats = engineFor(createState({ history: perfectDays(...dates) })).getStats();
+                assert.equal(stats.streak, 3, dates[1]);
+            } finally {
+                clock.restore();
+            }
+        });
+    });
+});
+
+test('goal changes apply from the local date they were made', () => {
+    withTimeZone('Asia/Kolkata', () => {
+        const state = createState({
+            goalHistory: [{ from: '1970-01-01', goal: 2000 }, { from: '2024-05-10', goal: 2500 }]
+        });
+        // 00:30 on May 10 in India is still May 9 in UTC
+        assert.equal(Hydration.getGoalForDate(state, new Date('2024-05-09T19:00:00Z')), 2500);
+        assert.equal(Hydration.getGoalForDate(state, new Date('2024-05-09T18:00:00Z')), 2000);
+    });
+});